@@ -7,11 +7,47 @@ const debounce = (func, wait) => {
   };
 };
 
+// Promise-based sleep helper
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const EDITOR_URL = 'editor/editor.html'; // Path to the editor page
+
+// Storage keys used to hand a capture over to the editor page
+const HANDOFF_KEYS = ['currentScreenshot', 'originalTab', 'cropOnlyMode', 'cropRegion', 'captureMeta', 'sensitiveRegions'];
+
+// Chrome allows at most two captureVisibleTab calls per second
+const CAPTURE_INTERVAL_MS = 550;
+
+// Timed capture delays offered in the action menu, in seconds
+const CAPTURE_DELAYS = [3, 5, 10];
+const DEFAULT_CAPTURE_DELAY = 3;
+
+// Text that shouldn't end up in a shared screenshot. The patterns run inside
+// the page, so only the positions of matches ever leave the tab. check names
+// an extra validation the match has to pass (see findSensitiveText).
+const SENSITIVE_DATA_DETECTORS = [
+  { kind: 'email', pattern: '[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\\.[A-Za-z0-9-]+)*\\.[A-Za-z]{2,}' },
+  {
+    kind: 'apiKey',
+    pattern: '\\b(?:(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|' +
+             'xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|eyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,})'
+  },
+  { kind: 'card', pattern: '\\b\\d(?:[ -]?\\d){12,18}\\b', check: 'luhn' },
+  { kind: 'phone', pattern: '(?:\\+\\d{1,3}[ .-]?)?(?:\\(\\d{1,4}\\)[ .-]?)?\\b\\d{2,4}[ .-]\\d{3,4}(?:[ .-]\\d{2,4})?\\b', check: 'phone' }
+];
+
+// Largest canvas Chrome reliably allocates (per side, and in total pixels)
+const MAX_CANVAS_DIMENSION = 32767;
+const MAX_CANVAS_AREA = 268435456;
+
 // Setup initial settings on installation
 chrome.runtime.onInstalled.addListener(async () => {
   try {
-    await chrome.storage.sync.set({ saveLocation: 'SnipScreen' });
+    // Keep a save folder chosen on the options page across updates
+    const { saveLocation } = await chrome.storage.sync.get({ saveLocation: 'SnipScreen' });
+    await chrome.storage.sync.set({ saveLocation });
     await chrome.storage.local.set({ sessionActive: true }); // Basic session flag
+    await createContextMenus();
     showNotification('SnipScreen installed successfully', 'success');
   } catch (error) {
     console.error('Installation failed:', error);
@@ -22,14 +58,19 @@ chrome.runtime.onInstalled.addListener(async () => {
 // Clear temporary data if the extension process is suspended
 chrome.runtime.onSuspend.addListener(async () => {
   try {
-    await chrome.storage.local.remove(['currentScreenshot', 'originalTab', 'cropOnlyMode']);
+    await chrome.storage.local.remove(HANDOFF_KEYS);
   } catch (error) {
     console.error('Cleanup on suspend failed:', error);
   }
 });
 
 // Debounced function to handle screenshot capture and editor opening
-const handleScreenshot = debounce(async (tab, cropOnly = false) => {
+// mode: 'visible' (the current viewport), 'visibleCopy' (the viewport,
+// straight to the clipboard), 'fullPage' (the whole scrolled document),
+// 'region' (an area the user drags out on the page), 'element' (a DOM
+// element the user clicks), 'image' (an <img>, given by options.srcUrl) or
+// 'selection' (the bounding box of the selected text, options.frameId)
+const handleScreenshot = debounce(async (tab, mode = 'visible', options = {}) => {
   try {
     if (!tab?.id) throw new Error('No active tab found');
 
@@ -38,30 +79,39 @@ const handleScreenshot = debounce(async (tab, cropOnly = false) => {
       throw new Error(`Cannot capture system pages (${tab.url.split('//')[0]}) or local files.`);
     }
 
-    // Capture the visible part of the tab with high quality settings
-    const screenshotUrl = await chrome.tabs.captureVisibleTab(null, {
-      format: 'png' // Lossless; the quality option only applies to JPEG
-    });
-
-    if (!screenshotUrl) throw new Error('Empty screenshot captured (check permissions or page content)');
+    let capture;
+    if (mode === 'fullPage') {
+      capture = await captureFullPage(tab);
+    } else if (mode === 'region') {
+      capture = await captureRegion(tab);
+      if (!capture) return; // Selection cancelled by the user
+    } else if (mode === 'element') {
+      capture = await captureElement(tab);
+      if (!capture) return; // Picking cancelled by the user
+    } else if (mode === 'image') {
+      capture = await captureImage(tab, options.srcUrl);
+    } else if (mode === 'selection') {
+      capture = await captureSelection(tab, options.frameId);
+    } else if (mode === 'visibleCopy') {
+      capture = { screenshotUrl: await captureVisibleArea(tab), copyOnly: true };
+    } else {
+      capture = { screenshotUrl: await captureVisibleArea(tab), scanArea: 'viewport' };
+    }
 
-    const editorUrl = 'editor/editor.html'; // Path to the editor page
+    if (!capture.screenshotUrl) throw new Error('Empty screenshot captured (check permissions or page content)');
 
-    // TODO: Consider implementing logic to find/reuse an existing editor tab
+    if (capture.copyOnly) {
+      await copyImageInTab(tab, capture.screenshotUrl);
+      showNotification('Screenshot copied to clipboard', 'success');
+      return;
+    }
 
-    // Store the data for the editor page BEFORE opening it, so the editor
-    // never loads ahead of the screenshot being available
-    await chrome.storage.local.set({
-      currentScreenshot: screenshotUrl, // The screenshot data URL
-      originalTab: tab.id,           // ID of the tab where capture happened
-      cropOnlyMode: cropOnly         // Flag for single-click vs double-click mode
-    });
+    if (capture.scanArea) {
+      const sensitiveRegions = await findSensitiveRegions(tab, capture.scanArea);
+      capture.handoff = { ...capture.handoff, sensitiveRegions };
+    }
 
-    // Create a new tab for the editor
-    const newTab = await chrome.tabs.create({
-        url: editorUrl,
-        active: true
-    });
+    await openEditor(tab, capture);
 
     showNotification('Screenshot captured successfully', 'success');
 
@@ -69,13 +119,743 @@ const handleScreenshot = debounce(async (tab, cropOnly = false) => {
     console.error('Screenshot failed:', error);
     showNotification(`Screenshot failed: ${error.message || 'Unknown error'}`, 'error');
     // Attempt to clean up storage if capture failed before editor opened
-    await chrome.storage.local.remove(['currentScreenshot', 'originalTab', 'cropOnlyMode']);
+    await chrome.storage.local.remove(HANDOFF_KEYS);
   }
 }, 200); // Debounce interval
 
+// Pending timed capture, so a new one replaces it instead of stacking, and
+// the number of the latest one (an older countdown stops when it changes)
+let countdownTimer = null;
+let countdownGeneration = 0;
+
+/**
+ * Counts down on the action badge, then captures the visible area of
+ * whichever tab is active in the window by then. This lets hover menus,
+ * tooltips and dropdowns be opened again before the capture fires.
+ */
+async function startTimedCapture(tab) {
+  // Before any await, so a second start right away can't miss this one
+  clearTimeout(countdownTimer);
+  countdownTimer = null;
+  const generation = ++countdownGeneration;
+  const { captureDelay } = await chrome.storage.sync.get({ captureDelay: DEFAULT_CAPTURE_DELAY });
+  if (generation !== countdownGeneration) return;
+  await chrome.action.setBadgeBackgroundColor({ color: '#FF3B30' });
+
+  let remaining = captureDelay;
+  const tick = async () => {
+    if (generation !== countdownGeneration) return; // Replaced by a newer countdown
+    if (remaining > 0) {
+      await chrome.action.setBadgeText({ text: String(remaining) });
+      if (generation !== countdownGeneration) return;
+      remaining--;
+      countdownTimer = setTimeout(tick, 1000);
+    } else {
+      countdownTimer = null;
+      await chrome.action.setBadgeText({ text: '' });
+      // The user may have switched tabs or navigated during the countdown
+      const [activeTab] = await chrome.tabs.query({ active: true, windowId: tab.windowId });
+      if (generation !== countdownGeneration) return;
+      handleScreenshot(activeTab, 'visible');
+    }
+  };
+  await tick();
+}
+
+/**
+ * Captures the visible part of the tab with high quality settings.
+ */
+async function captureVisibleArea(tab) {
+  return chrome.tabs.captureVisibleTab(tab.windowId, {
+    format: 'png' // Lossless; the quality option only applies to JPEG
+  });
+}
+
+/**
+ * Stores the capture for the editor page and shows it in an open editor tab
+ * (unless the user opted for a new tab every time) or a new one.
+ * @param {chrome.tabs.Tab} tab - The tab the capture was taken from.
+ * @param {object} capture
+ * @param {string} capture.screenshotUrl - PNG data URL of the capture.
+ * @param {object} [capture.handoff] - Extra storage entries for the editor (e.g. cropRegion).
+ * @param {object} [capture.meta] - Extra details recorded with the image (e.g. selector).
+ */
+async function openEditor(tab, { screenshotUrl, handoff = {}, meta = {} }) {
+  // Drop leftovers from a previous capture so they don't leak into this one
+  await chrome.storage.local.remove(HANDOFF_KEYS);
+
+  // Store the data for the editor page BEFORE opening it, so the editor
+  // never loads ahead of the screenshot being available
+  await chrome.storage.local.set({
+    currentScreenshot: screenshotUrl, // The screenshot data URL
+    originalTab: tab.id,           // ID of the tab where capture happened
+    cropOnlyMode: false,           // Open the editor pre-cropped to cropRegion
+    captureMeta: { url: tab.url, title: tab.title, ...meta }, // Where the image came from
+    ...handoff
+  });
+
+  if (await reuseEditorTab()) return;
+
+  await chrome.tabs.create({
+    url: EDITOR_URL,
+    active: true
+  });
+}
+
+/**
+ * Focuses the most recently used editor tab and asks it to load the capture
+ * that was just stored. The editor may decline (the user chose to keep its
+ * unsaved annotations), in which case a new tab is needed after all.
+ * @returns {Promise<boolean>} True if an existing editor took the capture.
+ */
+async function reuseEditorTab() {
+  const { reuseEditorTab: enabled } = await chrome.storage.sync.get({ reuseEditorTab: true });
+  if (!enabled) return false;
+
+  const editors = await chrome.tabs.query({ url: chrome.runtime.getURL(EDITOR_URL) });
+  if (editors.length === 0) return false;
+  const editor = editors.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0];
+
+  try {
+    // Focus first so a confirmation prompt appears in front of the user
+    await chrome.tabs.update(editor.id, { active: true });
+    await chrome.windows.update(editor.windowId, { focused: true });
+    // Every editor page receives runtime messages; only the addressed one answers
+    const response = await chrome.runtime.sendMessage({ type: 'snipscreen:load-screenshot', tabId: editor.id });
+    return response?.accepted === true;
+  } catch (error) {
+    console.warn('Could not reuse the editor tab:', error);
+    return false;
+  }
+}
+
+/**
+ * Scrolls through the whole document, capturing one viewport at a time, and
+ * stitches the tiles into a single image. Sensitive text is looked for while
+ * the page is still scrolled to the top, where the image shows fixed and
+ * sticky elements.
+ * @returns {Promise<object>} The capture: the stitched page and its sensitive regions.
+ */
+async function captureFullPage(tab) {
+  let sensitiveRegions = [];
+  const screenshotUrl = await captureDocumentArea(tab, null, 'full page', async () => {
+    sensitiveRegions = await findSensitiveRegions(tab, 'document');
+  });
+  return { screenshotUrl, handoff: { sensitiveRegions } };
+}
+
+/**
+ * Captures an area of the document (in CSS pixels, document coordinates) by
+ * scrolling over it one viewport at a time and stitching the tiles. Fixed
+ * elements, and sticky ones stuck in the first tile, are only kept in that
+ * tile so headers don't repeat down the page. The page's scroll position is
+ * restored afterwards, even if a tile fails.
+ * @param {chrome.tabs.Tab} tab
+ * @param {{x: number, y: number, width: number, height: number} | null} area - null for the whole document.
+ * @param {string} label - What is being captured, for progress notifications.
+ * @param {() => Promise<void>} [onFirstTile] - Called once the first tile is
+ *        captured, while the page is still scrolled to it.
+ * @returns {Promise<string>} PNG data URL of the stitched area.
+ */
+async function captureDocumentArea(tab, area, label, onFirstTile = null) {
+  const target = { tabId: tab.id };
+  await chrome.scripting.executeScript({ target, func: installViewportBoundCheck });
+  const [{ result: page }] = await chrome.scripting.executeScript({ target, func: preparePageForCapture });
+
+  try {
+    const bounds = area || { x: 0, y: 0, width: page.width, height: page.height };
+    const tiles = [];
+    for (let y = bounds.y; y < bounds.y + bounds.height; y += page.viewportHeight) {
+      for (let x = bounds.x; x < bounds.x + bounds.width; x += page.viewportWidth) {
+        tiles.push({ x, y });
+      }
+    }
+
+    let canvas = null;
+    let ctx = null;
+    let scale = 1;
+    let maxHeight = bounds.height;
+
+    for (let i = 0; i < tiles.length; i++) {
+      const tile = tiles[i];
+      if (tile.y - bounds.y >= maxHeight) break; // Beyond what the canvas can hold
+
+      const [{ result: scrolled }] = await chrome.scripting.executeScript({
+        target,
+        func: scrollPageForCapture,
+        args: [tile.x, tile.y, i > 0]
+      });
+
+      if (i > 0) await delay(CAPTURE_INTERVAL_MS);
+      if (tiles.length > 1) showNotification(`Capturing ${label}… ${i + 1}/${tiles.length}`, 'info');
+      const bitmap = await dataUrlToBitmap(await captureVisibleArea(tab));
+
+      if (!canvas) {
+        // The capture is in device pixels; derive the ratio from the first tile
+        scale = bitmap.width / page.innerWidth;
+        const width = Math.max(1, Math.min(Math.round(bounds.width * scale), MAX_CANVAS_DIMENSION));
+        const height = Math.max(1, Math.min(Math.round(bounds.height * scale), MAX_CANVAS_DIMENSION, Math.floor(MAX_CANVAS_AREA / width)));
+        maxHeight = height / scale;
+        canvas = new OffscreenCanvas(width, height);
+        ctx = canvas.getContext('2d');
+      }
+
+      // Only the viewport part of the capture (no scrollbars) is used
+      ctx.drawImage(
+        bitmap,
+        0, 0, page.viewportWidth * scale, page.viewportHeight * scale,
+        Math.round((scrolled.x - bounds.x) * scale), Math.round((scrolled.y - bounds.y) * scale), page.viewportWidth * scale, page.viewportHeight * scale
+      );
+      bitmap.close();
+      if (i === 0 && onFirstTile) await onFirstTile();
+    }
+
+    if (maxHeight < bounds.height) {
+      showNotification(`The ${label} is too tall to capture completely; the bottom was cut off.`, 'info');
+    }
+    return canvasToDataUrl(canvas);
+  } finally {
+    await chrome.scripting.executeScript({ target, func: restorePageAfterCapture }).catch(error => {
+      console.warn('Failed to restore page after capture:', error);
+    });
+  }
+}
+
+/**
+ * Lets the user drag out a region on the page, then captures the viewport.
+ * The editor receives the full capture plus the region and opens already
+ * cropped to it; a "copy" selection is cropped here instead and never
+ * reaches the editor.
+ * @returns {Promise<object|null>} The capture, or null if the user cancelled.
+ */
+async function captureRegion(tab) {
+  const target = { tabId: tab.id };
+  await chrome.scripting.executeScript({ target, files: ['content/region-select.js'] });
+  const [{ result: selection }] = await chrome.scripting.executeScript({
+    target,
+    func: () => window.snipScreenSelectRegion()
+  });
+  if (!selection) return null;
+
+  const screenshotUrl = await captureVisibleArea(tab);
+  if (selection.action === 'copy') {
+    return { screenshotUrl: await cropCapture(screenshotUrl, selection.rect, selection.innerWidth), copyOnly: true };
+  }
+
+  const bitmap = await dataUrlToBitmap(screenshotUrl);
+  const region = viewportRectToImage(selection.rect, bitmap.width / selection.innerWidth, bitmap);
+  bitmap.close();
+  return { screenshotUrl, handoff: { cropOnlyMode: true, cropRegion: region }, scanArea: 'viewport' };
+}
+
+/**
+ * Lets the user click an element on the page and captures exactly its
+ * bounding box, scrolling over it if part of it is off-screen. The element's
+ * CSS selector is recorded alongside the image.
+ * @returns {Promise<object|null>} The capture, or null if the user cancelled.
+ */
+async function captureElement(tab) {
+  const target = { tabId: tab.id };
+  await chrome.scripting.executeScript({ target, func: installViewportBoundCheck });
+  await chrome.scripting.executeScript({ target, files: ['content/element-picker.js'] });
+  const [{ result: picked }] = await chrome.scripting.executeScript({
+    target,
+    func: () => window.snipScreenPickElement()
+  });
+  if (!picked) return null;
+  if (picked.rect.width < 1 || picked.rect.height < 1) throw new Error('The selected element has no visible size');
+
+  // Fixed elements stay put while scrolling, so they can only be cut out of the viewport
+  const screenshotUrl = picked.fixed
+    ? await cropCapture(await captureVisibleArea(tab), picked.rect, picked.innerWidth)
+    : await captureDocumentArea(tab, picked.documentRect, 'element');
+  return { screenshotUrl, meta: { selector: picked.selector }, scanArea: picked.documentRect };
+}
+
+/**
+ * Loads an image at its native resolution. Falls back to capturing it from
+ * the page when it can't be fetched (e.g. a cross-origin image without CORS
+ * headers, or a format the worker can't decode).
+ */
+async function captureImage(tab, srcUrl) {
+  if (!srcUrl) throw new Error('No image source found');
+  try {
+    const response = await fetch(srcUrl);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const bitmap = await createImageBitmap(await response.blob());
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return { screenshotUrl: await canvasToDataUrl(canvas), meta: { imageUrl: srcUrl } };
+  } catch (error) {
+    console.warn('Fetching the image failed, capturing it from the page instead:', error);
+  }
+
+  const target = { tabId: tab.id };
+  await chrome.scripting.executeScript({ target, func: installViewportBoundCheck });
+  const [{ result: located }] = await chrome.scripting.executeScript({
+    target,
+    func: locateImage,
+    args: [srcUrl]
+  });
+  if (!located) throw new Error('Could not find the image on the page');
+  const screenshotUrl = located.fixed
+    ? await cropCapture(await captureVisibleArea(tab), located.rect, located.innerWidth)
+    : await captureDocumentArea(tab, located.documentRect, 'image');
+  return { screenshotUrl, meta: { imageUrl: srcUrl } };
+}
+
+/**
+ * Injected into the page after installViewportBoundCheck: finds the <img>
+ * showing srcUrl and reports its position like the element picker does.
+ */
+function locateImage(srcUrl) {
+  const img = [...document.images].find(image => image.currentSrc === srcUrl || image.src === srcUrl);
+  if (!img) return null;
+  const r = img.getBoundingClientRect();
+  let fixed = false;
+  for (let node = img; node && node !== document.documentElement; node = node.parentElement) {
+    if (window.snipScreenIsViewportBound(node)) fixed = true;
+  }
+  return {
+    rect: { x: r.left, y: r.top, width: r.width, height: r.height },
+    documentRect: { x: r.left + window.scrollX, y: r.top + window.scrollY, width: r.width, height: r.height },
+    fixed,
+    innerWidth: window.innerWidth
+  };
+}
+
+/**
+ * Captures the bounding box of the current text selection, scrolling over it
+ * if it extends beyond the viewport.
+ */
+async function captureSelection(tab, frameId = 0) {
+  if (frameId) throw new Error('Selections inside embedded frames can\'t be captured');
+  const [{ result: selected }] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: getSelectionRect
+  });
+  if (!selected) throw new Error('No text is selected');
+  return {
+    screenshotUrl: await captureDocumentArea(tab, selected.documentRect, 'selection'),
+    meta: { selectedText: selected.text },
+    scanArea: selected.documentRect
+  };
+}
+
+/**
+ * Injected into the page: reports the selection's bounding box in document
+ * coordinates (CSS pixels), padded slightly so glyphs aren't clipped.
+ */
+function getSelectionRect() {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+  const r = selection.getRangeAt(0).getBoundingClientRect();
+  if (r.width === 0 || r.height === 0) return null;
+  const padding = 4;
+  const x = Math.max(0, r.left + window.scrollX - padding);
+  const y = Math.max(0, r.top + window.scrollY - padding);
+  return {
+    documentRect: { x, y, width: r.width + padding * 2, height: r.height + padding * 2 },
+    text: selection.toString().slice(0, 200)
+  };
+}
+
+/**
+ * Looks for sensitive text (emails, API keys, card and phone numbers,
+ * password fields) in the part of the page that was captured, so the editor
+ * can suggest redacting it. Detection is best effort: when it's turned off
+ * or fails, the capture simply comes without suggestions.
+ * @param {chrome.tabs.Tab} tab
+ * @param {'viewport' | 'document' | {x: number, y: number, width: number, height: number}} area -
+ *        What the image shows: the viewport, the whole document, or an area in document CSS pixels.
+ * @returns {Promise<Array<{kind: string, x: number, y: number, width: number, height: number}>>}
+ *          Matches in image pixels.
+ */
+async function findSensitiveRegions(tab, area) {
+  const { detectSensitiveData } = await chrome.storage.sync.get({ detectSensitiveData: true });
+  if (!detectSensitiveData) return [];
+  try {
+    const [{ result }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: findSensitiveText,
+      args: [area, SENSITIVE_DATA_DETECTORS]
+    });
+    return result || [];
+  } catch (error) {
+    console.warn('Sensitive data detection failed:', error);
+    return [];
+  }
+}
+
+/**
+ * Injected into the page: runs the detectors over visible text nodes and
+ * form field values and returns where the matches are, in image pixels
+ * relative to the captured area. Matches inside a field cover the whole
+ * field; a match split across elements isn't found.
+ */
+function findSensitiveText(area, detectors) {
+  const MAX_REGIONS = 500;
+  const padding = 2; // CSS px around each match, so glyph edges are covered too
+  const scale = window.devicePixelRatio || 1; // Same as the capture's device pixels per CSS pixel
+  const bounds = area === 'viewport'
+    ? { x: window.scrollX, y: window.scrollY, width: window.innerWidth, height: window.innerHeight }
+    : area === 'document' ? { x: 0, y: 0, width: Infinity, height: Infinity } : area;
+
+  const checks = {
+    luhn: text => {
+      const digits = text.replace(/\D/g, '');
+      let sum = 0;
+      for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+        sum += digit;
+      }
+      return sum % 10 === 0;
+    },
+    phone: text => {
+      const count = text.replace(/\D/g, '').length;
+      return count >= 7 && count <= 15;
+    }
+  };
+
+  // Calls onMatch(kind, start, end) for each detection, earlier detectors winning overlaps
+  const scan = (text, onMatch) => {
+    const taken = [];
+    for (const { kind, pattern, check } of detectors) {
+      for (const match of text.matchAll(new RegExp(pattern, 'g'))) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (check && !checks[check](match[0])) continue;
+        if (taken.some(([s, e]) => start < e && end > s)) continue;
+        taken.push([start, end]);
+        onMatch(kind, start, end);
+      }
+    }
+  };
+
+  const regions = [];
+  const addRect = (kind, rect) => {
+    if (regions.length >= MAX_REGIONS || rect.width === 0 || rect.height === 0) return;
+    const left = Math.max(0, rect.left + window.scrollX - padding - bounds.x);
+    const top = Math.max(0, rect.top + window.scrollY - padding - bounds.y);
+    const right = Math.min(bounds.width, rect.right + window.scrollX + padding - bounds.x);
+    const bottom = Math.min(bounds.height, rect.bottom + window.scrollY + padding - bounds.y);
+    if (right <= left || bottom <= top) return;
+    regions.push({
+      kind,
+      x: Math.floor(left * scale),
+      y: Math.floor(top * scale),
+      width: Math.ceil((right - left) * scale),
+      height: Math.ceil((bottom - top) * scale)
+    });
+  };
+  const isVisible = el => !el.checkVisibility || el.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true });
+
+  if (!document.body) return regions;
+  const skipped = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA']);
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => node.data.trim().length >= 5 && !skipped.has(node.parentElement?.tagName)
+      ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+  });
+  const range = document.createRange();
+  for (let node = walker.nextNode(); node && regions.length < MAX_REGIONS; node = walker.nextNode()) {
+    if (!isVisible(node.parentElement)) continue;
+    scan(node.data, (kind, start, end) => {
+      range.setStart(node, start);
+      range.setEnd(node, end);
+      for (const rect of range.getClientRects()) addRect(kind, rect);
+    });
+  }
+
+  const textFields = 'input:not([type]), input[type="text"], input[type="email"], input[type="tel"], input[type="search"], input[type="url"], input[type="password"], textarea';
+  for (const field of document.querySelectorAll(textFields)) {
+    if (!field.value || !isVisible(field)) continue;
+    if (field.type === 'password') {
+      addRect('password', field.getBoundingClientRect());
+      continue;
+    }
+    let found = null;
+    scan(field.value, kind => { found = found || kind; });
+    if (found) addRect(found, field.getBoundingClientRect());
+  }
+  return regions;
+}
+
+/**
+ * Converts a viewport rectangle in CSS pixels to image pixels, clamped to the image.
+ */
+function viewportRectToImage(rect, scale, image) {
+  const x = Math.max(0, Math.min(Math.round(rect.x * scale), image.width - 1));
+  const y = Math.max(0, Math.min(Math.round(rect.y * scale), image.height - 1));
+  return {
+    x,
+    y,
+    width: Math.max(1, Math.min(Math.round(rect.width * scale), image.width - x)),
+    height: Math.max(1, Math.min(Math.round(rect.height * scale), image.height - y))
+  };
+}
+
+/**
+ * Cuts a viewport rectangle (CSS pixels) out of a visible-area capture.
+ * @returns {Promise<string>} PNG data URL of the cropped area.
+ */
+async function cropCapture(screenshotUrl, rect, innerWidth) {
+  const bitmap = await dataUrlToBitmap(screenshotUrl);
+  const region = viewportRectToImage(rect, bitmap.width / innerWidth, bitmap);
+  const canvas = new OffscreenCanvas(region.width, region.height);
+  canvas.getContext('2d').drawImage(bitmap, region.x, region.y, region.width, region.height, 0, 0, region.width, region.height);
+  bitmap.close();
+  return canvasToDataUrl(canvas);
+}
+
+/**
+ * Writes an image to the clipboard from within the captured tab. The service
+ * worker has no clipboard access, while the page still has focus (and the
+ * user's activation) right after a capture.
+ */
+async function copyImageInTab(tab, dataUrl) {
+  const [{ result }] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: writeImageToClipboard,
+    args: [dataUrl]
+  });
+  if (!result?.ok) throw new Error(`Copy to clipboard failed: ${result?.error || 'Unknown error'}`);
+}
+
+/**
+ * Injected into the page: decodes a PNG data URL and writes it to the clipboard.
+ */
+async function writeImageToClipboard(dataUrl) {
+  try {
+    const binary = atob(dataUrl.split(',')[1]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    const blob = new Blob([bytes], { type: 'image/png' });
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Injected into the page ahead of the element picker, locateImage and the
+ * scrolling capture: installs window.snipScreenIsViewportBound(node), which
+ * tells whether an element stays put in the viewport while the page scrolls.
+ * That is a fixed element, or a sticky one that is stuck right now; a sticky
+ * element that isn't stuck scrolls with the page like any other.
+ */
+function installViewportBoundCheck() {
+  // A stuck sticky element sits away from where it would be in the flow
+  const isStuck = node => {
+    const stuck = node.getBoundingClientRect();
+    const inlinePosition = node.style.position;
+    node.style.position = 'static';
+    const inFlow = node.getBoundingClientRect();
+    node.style.position = inlinePosition;
+    return Math.abs(stuck.top - inFlow.top) > 0.5 || Math.abs(stuck.left - inFlow.left) > 0.5;
+  };
+  window.snipScreenIsViewportBound = (node, position = getComputedStyle(node).position) =>
+    position === 'fixed' || (position === 'sticky' && isStuck(node));
+}
+
+/**
+ * Injected into the page: records the scroll state, disables smooth scrolling
+ * and reports the document and viewport dimensions in CSS pixels.
+ */
+function preparePageForCapture() {
+  const root = document.documentElement;
+  const body = document.body;
+  window.__snipScreenCapture = {
+    scrollX: window.scrollX,
+    scrollY: window.scrollY,
+    scrollBehavior: root.style.scrollBehavior,
+    hidden: [],
+    fixedHidden: false
+  };
+  root.style.scrollBehavior = 'auto';
+  return {
+    width: Math.max(root.scrollWidth, body ? body.scrollWidth : 0, root.clientWidth),
+    height: Math.max(root.scrollHeight, body ? body.scrollHeight : 0, root.clientHeight),
+    viewportWidth: root.clientWidth,
+    viewportHeight: root.clientHeight,
+    innerWidth: window.innerWidth
+  };
+}
+
+/**
+ * Injected into the page: scrolls to a tile and waits for it to paint. When
+ * hideFixed is set, the elements that stayed put in the first tile (fixed,
+ * or sticky and stuck there) are hidden, once per capture, so they don't
+ * repeat in every tile. Returns the actual scroll offset, which is smaller
+ * than requested for the last row/column of tiles.
+ */
+function scrollPageForCapture(x, y, hideFixed) {
+  const state = window.__snipScreenCapture;
+  if (hideFixed && state && !state.fixedHidden) {
+    state.fixedHidden = true;
+    // Whatever is inside a hidden or undisplayed element is out of the picture already
+    const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_ELEMENT, {
+      acceptNode(el) {
+        const { position, display } = getComputedStyle(el);
+        if (display === 'none') return NodeFilter.FILTER_REJECT;
+        if (window.snipScreenIsViewportBound(el, position)) {
+          state.hidden.push({ el, visibility: el.style.visibility });
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_SKIP;
+      }
+    });
+    walker.nextNode();
+    state.hidden.forEach(({ el }) => { el.style.visibility = 'hidden'; });
+  }
+  window.scrollTo(x, y);
+  return new Promise(resolve => {
+    // Two frames so the scroll (and any lazy content) has been painted
+    requestAnimationFrame(() => requestAnimationFrame(() => {
+      resolve({ x: window.scrollX, y: window.scrollY });
+    }));
+  });
+}
+
+/**
+ * Injected into the page: undoes everything preparePageForCapture and
+ * scrollPageForCapture changed.
+ */
+function restorePageAfterCapture() {
+  const state = window.__snipScreenCapture;
+  if (!state) return;
+  state.hidden.forEach(({ el, visibility }) => { el.style.visibility = visibility; });
+  window.scrollTo(state.scrollX, state.scrollY);
+  document.documentElement.style.scrollBehavior = state.scrollBehavior;
+  delete window.__snipScreenCapture;
+}
+
+/**
+ * Decodes an image data URL into an ImageBitmap.
+ */
+async function dataUrlToBitmap(dataUrl) {
+  const blob = await (await fetch(dataUrl)).blob();
+  return createImageBitmap(blob);
+}
+
+/**
+ * Encodes an OffscreenCanvas as a PNG data URL.
+ */
+async function canvasToDataUrl(canvas) {
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * (Re)creates the extension's context menu entries.
+ */
+async function createContextMenus() {
+  const { captureDelay } = await chrome.storage.sync.get({ captureDelay: DEFAULT_CAPTURE_DELAY });
+  await chrome.contextMenus.removeAll();
+  chrome.contextMenus.create({
+    id: 'capture-region',
+    title: 'Capture region',
+    contexts: ['action']
+  });
+  chrome.contextMenus.create({
+    id: 'capture-element',
+    title: 'Capture element',
+    contexts: ['action']
+  });
+  chrome.contextMenus.create({
+    id: 'capture-full-page',
+    title: 'Capture entire page',
+    contexts: ['action']
+  });
+  chrome.contextMenus.create({
+    id: 'capture-timed',
+    title: 'Timed capture',
+    contexts: ['action']
+  });
+  chrome.contextMenus.create({
+    id: 'capture-delay',
+    title: 'Capture delay',
+    contexts: ['action']
+  });
+  chrome.contextMenus.create({
+    id: 'page-capture-visible',
+    title: 'Capture visible area',
+    contexts: ['page', 'frame', 'link', 'editable', 'video', 'audio']
+  });
+  chrome.contextMenus.create({
+    id: 'page-capture-image',
+    title: 'Capture this image',
+    contexts: ['image']
+  });
+  chrome.contextMenus.create({
+    id: 'page-capture-selection',
+    title: 'Capture selected text block',
+    contexts: ['selection']
+  });
+  CAPTURE_DELAYS.forEach(seconds => {
+    chrome.contextMenus.create({
+      id: `capture-delay-${seconds}`,
+      parentId: 'capture-delay',
+      title: `${seconds} seconds`,
+      type: 'radio',
+      checked: seconds === captureDelay,
+      contexts: ['action']
+    });
+  });
+}
+
 // Listener for the extension action click
 chrome.action.onClicked.addListener((tab) => {
-  handleScreenshot(tab, false);
+  handleScreenshot(tab, 'visible');
+});
+
+// Listener for keyboard shortcuts (declared under "commands" in the manifest)
+chrome.commands.onCommand.addListener((command, tab) => {
+  const modes = {
+    'capture-visible': 'visible',
+    'capture-region': 'region',
+    'capture-full-page': 'fullPage',
+    'capture-copy': 'visibleCopy'
+  };
+  if (modes[command]) handleScreenshot(tab, modes[command]);
+});
+
+// Keep the action menu's delay radio in sync with changes from the options page
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.captureDelay) {
+    chrome.contextMenus.update(`capture-delay-${changes.captureDelay.newValue}`, { checked: true }, () => {
+      if (chrome.runtime.lastError) console.warn('Failed to update delay menu:', chrome.runtime.lastError.message);
+    });
+  }
+});
+
+// Listener for context menu entries
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === 'capture-region') {
+    handleScreenshot(tab, 'region');
+  } else if (info.menuItemId === 'capture-element') {
+    handleScreenshot(tab, 'element');
+  } else if (info.menuItemId === 'capture-full-page') {
+    handleScreenshot(tab, 'fullPage');
+  } else if (info.menuItemId === 'page-capture-visible') {
+    handleScreenshot(tab, 'visible');
+  } else if (info.menuItemId === 'page-capture-image') {
+    handleScreenshot(tab, 'image', { srcUrl: info.srcUrl });
+  } else if (info.menuItemId === 'page-capture-selection') {
+    handleScreenshot(tab, 'selection', { frameId: info.frameId });
+  } else if (info.menuItemId === 'capture-timed') {
+    startTimedCapture(tab);
+  } else if (String(info.menuItemId).startsWith('capture-delay-')) {
+    const captureDelay = Number(String(info.menuItemId).slice('capture-delay-'.length));
+    chrome.storage.sync.set({ captureDelay });
+  }
 });
 
 // Helper to show notifications
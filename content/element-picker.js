@@ -0,0 +1,148 @@
+/**
+ * Element picker, injected into the captured page by the background worker.
+ * Defines window.snipScreenPickElement(), which outlines the element under
+ * the cursor (like devtools' inspect) and resolves with
+ *   { rect, documentRect, fixed, selector, innerWidth }
+ * for the clicked element, or null if cancelled. rect is relative to the
+ * viewport and documentRect to the document, both in CSS pixels; fixed is
+ * set when the element doesn't scroll with the page. The outline is removed
+ * (and the page repainted) before the promise resolves. Expects
+ * window.snipScreenIsViewportBound to have been installed first.
+ */
+window.snipScreenPickElement = function snipScreenPickElement() {
+  if (window.__snipScreenPickerActive) return Promise.resolve(null);
+  window.__snipScreenPickerActive = true;
+
+  return new Promise(resolve => {
+    // Shadow DOM keeps the page's styles away from the outline and vice versa
+    const host = document.createElement('div');
+    host.style.cssText = 'position: fixed; inset: 0; z-index: 2147483647; pointer-events: none;';
+    const root = host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `
+      <style>
+        .outline { position: fixed; display: none; border: 2px solid #007AFF; background: rgba(0, 122, 255, 0.15); }
+        .label { position: fixed; display: none; padding: 2px 6px; border-radius: 4px; background: rgba(28, 28, 30, 0.9); color: #FFFFFF; font: 500 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; white-space: nowrap; }
+        .hint { position: fixed; top: 16px; left: 50%; transform: translateX(-50%); padding: 8px 14px; border-radius: 8px; background: rgba(28, 28, 30, 0.9); color: #FFFFFF; font: 500 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+      </style>
+      <div class="outline"></div>
+      <div class="label"></div>
+      <div class="hint">Click an element to capture it · ↑ selects its parent · Esc to cancel</div>
+    `;
+    const outline = root.querySelector('.outline');
+    const label = root.querySelector('.label');
+    const dpr = window.devicePixelRatio || 1;
+
+    let current = null;
+
+    const highlight = (el) => {
+      current = el;
+      if (!el) {
+        outline.style.display = 'none';
+        label.style.display = 'none';
+        return;
+      }
+      const r = el.getBoundingClientRect();
+      outline.style.display = 'block';
+      outline.style.left = `${r.left}px`;
+      outline.style.top = `${r.top}px`;
+      outline.style.width = `${r.width}px`;
+      outline.style.height = `${r.height}px`;
+      label.style.display = 'block';
+      label.textContent = `${describe(el)}  ${Math.round(r.width * dpr)} × ${Math.round(r.height * dpr)}`;
+      label.style.left = `${Math.max(0, r.left)}px`;
+      label.style.top = `${r.top >= 24 ? r.top - 24 : Math.max(0, r.top) + 4}px`;
+    };
+
+    // Swallow the page's own handling of the picking click
+    const block = (e) => {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    };
+
+    const onMouseMove = (e) => {
+      const el = document.elementFromPoint(e.clientX, e.clientY);
+      if (el && el !== current && el !== document.documentElement) highlight(el);
+    };
+
+    const onClick = (e) => {
+      block(e);
+      finish(current);
+    };
+
+    const onKeyDown = (e) => {
+      block(e);
+      if (e.key === 'Escape') {
+        finish(null);
+      } else if (e.key === 'ArrowUp' && current && current.parentElement && current.parentElement !== document.documentElement) {
+        highlight(current.parentElement);
+      } else if (e.key === 'Enter' && current) {
+        finish(current);
+      }
+    };
+
+    const finish = (el) => {
+      document.removeEventListener('mousemove', onMouseMove, true);
+      document.removeEventListener('mousedown', block, true);
+      document.removeEventListener('mouseup', block, true);
+      document.removeEventListener('click', onClick, true);
+      document.removeEventListener('keydown', onKeyDown, true);
+      host.remove();
+      window.__snipScreenPickerActive = false;
+      if (!el) {
+        resolve(null);
+        return;
+      }
+      const r = el.getBoundingClientRect();
+      const result = {
+        rect: { x: r.left, y: r.top, width: r.width, height: r.height },
+        documentRect: { x: r.left + window.scrollX, y: r.top + window.scrollY, width: r.width, height: r.height },
+        fixed: isFixed(el),
+        selector: cssPath(el),
+        innerWidth: window.innerWidth
+      };
+      // Wait for the outline removal to be painted before handing back
+      requestAnimationFrame(() => requestAnimationFrame(() => resolve(result)));
+    };
+
+    document.addEventListener('mousemove', onMouseMove, true);
+    document.addEventListener('mousedown', block, true);
+    document.addEventListener('mouseup', block, true);
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('keydown', onKeyDown, true);
+    document.documentElement.appendChild(host);
+  });
+
+  function describe(el) {
+    let text = el.localName;
+    if (el.id) text += `#${el.id}`;
+    else if (el.classList.length) text += `.${[...el.classList].slice(0, 2).join('.')}`;
+    return text;
+  }
+
+  // Whether the element, or one of its ancestors, stays put in the viewport
+  function isFixed(el) {
+    for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+      if (window.snipScreenIsViewportBound(node)) return true;
+    }
+    return false;
+  }
+
+  // Shortest id-anchored (or root-anchored) child-combinator path to the element
+  function cssPath(el) {
+    const parts = [];
+    for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+      if (node.id) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      let part = node.localName;
+      const parent = node.parentElement;
+      if (parent) {
+        const siblings = [...parent.children].filter(child => child.localName === node.localName);
+        if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      }
+      parts.unshift(part);
+    }
+    return parts.join(' > ');
+  }
+};
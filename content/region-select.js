@@ -0,0 +1,142 @@
+/**
+ * Region selection overlay, injected into the captured page by the
+ * background worker. Defines window.snipScreenSelectRegion(), which lets the
+ * user drag a rectangle over the viewport and resolves with
+ *   { rect: {x, y, width, height}, action: 'edit' | 'copy', innerWidth }
+ * in CSS pixels relative to the viewport, or null if cancelled. The overlay
+ * is removed (and the page repainted) before the promise resolves, so the
+ * caller can capture the tab straight away.
+ */
+window.snipScreenSelectRegion = function snipScreenSelectRegion() {
+  if (window.__snipScreenRegionActive) return Promise.resolve(null);
+  window.__snipScreenRegionActive = true;
+
+  return new Promise(resolve => {
+    // Shadow DOM keeps the page's styles away from the overlay and vice versa
+    const host = document.createElement('div');
+    host.style.cssText = 'position: fixed; inset: 0; z-index: 2147483647;';
+    const root = host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `
+      <style>
+        .overlay { position: fixed; inset: 0; cursor: crosshair; background: rgba(0, 0, 0, 0.3); }
+        .overlay.has-selection { background: transparent; }
+        .selection { position: fixed; display: none; border: 2px solid #007AFF; box-shadow: 0 0 0 100vmax rgba(0, 0, 0, 0.4); }
+        .label, .actions { position: fixed; display: none; font: 500 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+        .label { padding: 2px 6px; border-radius: 4px; background: rgba(28, 28, 30, 0.9); color: #FFFFFF; pointer-events: none; }
+        .actions { gap: 6px; }
+        .actions button { font: inherit; padding: 6px 12px; border: none; border-radius: 6px; cursor: pointer; background: #FFFFFF; color: #1d1d1f; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2); }
+        .actions button.primary { background: #007AFF; color: #FFFFFF; }
+        .hint { position: fixed; top: 16px; left: 50%; transform: translateX(-50%); padding: 8px 14px; border-radius: 8px; background: rgba(28, 28, 30, 0.9); color: #FFFFFF; font: 500 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; pointer-events: none; }
+      </style>
+      <div class="overlay"></div>
+      <div class="selection"></div>
+      <div class="label"></div>
+      <div class="actions">
+        <button type="button" class="primary" data-action="edit">Edit</button>
+        <button type="button" data-action="copy">Copy</button>
+        <button type="button" data-action="cancel">Cancel</button>
+      </div>
+      <div class="hint">Drag to select an area · Esc to cancel</div>
+    `;
+    const overlay = root.querySelector('.overlay');
+    const selection = root.querySelector('.selection');
+    const label = root.querySelector('.label');
+    const actions = root.querySelector('.actions');
+    const hint = root.querySelector('.hint');
+    const dpr = window.devicePixelRatio || 1;
+
+    let start = null;
+    let rect = null;
+
+    const layout = () => {
+      selection.style.display = 'block';
+      selection.style.left = `${rect.x}px`;
+      selection.style.top = `${rect.y}px`;
+      selection.style.width = `${rect.width}px`;
+      selection.style.height = `${rect.height}px`;
+      label.style.display = 'block';
+      label.textContent = `${Math.round(rect.width * dpr)} × ${Math.round(rect.height * dpr)}`;
+      label.style.left = `${rect.x}px`;
+      label.style.top = `${rect.y >= 24 ? rect.y - 24 : rect.y + 4}px`;
+    };
+
+    const finish = (action) => {
+      document.removeEventListener('keydown', onKeyDown, true);
+      host.remove();
+      window.__snipScreenRegionActive = false;
+      if (!action || !rect) {
+        resolve(null);
+        return;
+      }
+      // Wait for the overlay removal to be painted before handing back
+      requestAnimationFrame(() => requestAnimationFrame(() => {
+        resolve({ rect, action, innerWidth: window.innerWidth });
+      }));
+    };
+
+    const onMouseMove = (e) => {
+      if (!start) return;
+      rect = {
+        x: Math.min(start.x, e.clientX),
+        y: Math.min(start.y, e.clientY),
+        width: Math.abs(e.clientX - start.x),
+        height: Math.abs(e.clientY - start.y)
+      };
+      layout();
+    };
+
+    const onMouseUp = () => {
+      document.removeEventListener('mousemove', onMouseMove, true);
+      document.removeEventListener('mouseup', onMouseUp, true);
+      start = null;
+      if (!rect || rect.width < 4 || rect.height < 4) {
+        // Treat a click (or a tiny drag) as "start over"
+        rect = null;
+        selection.style.display = 'none';
+        label.style.display = 'none';
+        overlay.classList.remove('has-selection');
+        return;
+      }
+      // Offer the actions just below the selection (or inside it at the bottom edge)
+      actions.style.display = 'flex';
+      actions.style.left = `${rect.x}px`;
+      const below = rect.y + rect.height + 8;
+      actions.style.top = `${below + 36 <= window.innerHeight ? below : rect.y + rect.height - 40}px`;
+    };
+
+    const onKeyDown = (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        finish(null);
+      } else if (e.key === 'Enter' && rect) {
+        e.preventDefault();
+        finish('edit');
+      } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'c' && rect) {
+        e.preventDefault();
+        finish('copy');
+      }
+    };
+
+    overlay.addEventListener('mousedown', (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      start = { x: e.clientX, y: e.clientY };
+      rect = null;
+      hint.style.display = 'none';
+      actions.style.display = 'none';
+      overlay.classList.add('has-selection');
+      document.addEventListener('mousemove', onMouseMove, true);
+      document.addEventListener('mouseup', onMouseUp, true);
+    });
+
+    actions.addEventListener('click', (e) => {
+      const action = e.target.dataset && e.target.dataset.action;
+      if (!action) return;
+      finish(action === 'cancel' ? null : action);
+    });
+
+    document.addEventListener('keydown', onKeyDown, true);
+    document.documentElement.appendChild(host);
+  });
+};
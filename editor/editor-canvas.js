@@ -1,3 +1,6 @@
+// Font and geometry helpers shared with the inline text editor and event handlers
+import { textFont, rectFromCorners } from './editor-utils.js';
+
 /**
  * Draws the cropping guides overlay on the main canvas.
  * Assumes the base image (from offscreenCanvas) is already drawn via redrawCanvas.
@@ -35,57 +38,635 @@ export function drawCropGuides(x, y, width, height) {
   this.ctx.lineWidth = 2;
   this.ctx.strokeRect(x - 1, y - 1, width + 2, height + 2);
 
-  // Draw corner handles if area is large enough
-  if (width > 10 && height > 10) {
-    this.drawCornerHandles(x, y, width, height);
+  // Draw corner and edge handles if area is large enough (an exact size can only be moved)
+  if (width > 10 && height > 10 && !this.cropPreset.size) {
+    this.drawCropHandles(x, y, width, height);
   }
   this.ctx.setLineDash([]); // Reset just in case
+
+  this.drawCropSizeLabel(x, y, width, height);
+}
+
+/**
+ * Shows the crop selection's size in image pixels in a label under it
+ * (or above it, or inside it, whichever fits).
+ */
+export function drawCropSizeLabel(x, y, width, height) {
+  if (width < 1 || height < 1) return;
+  const unit = this.getHitTolerance() / 10; // Image px per screen px
+  const label = `${Math.round(width)} × ${Math.round(height)}`;
+  const ctx = this.ctx;
+  ctx.save();
+  ctx.font = `600 ${12 * unit}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+  const padding = 6 * unit;
+  const labelWidth = ctx.measureText(label).width + padding * 2;
+  const labelHeight = 20 * unit;
+  const gap = 8 * unit;
+  let labelY = y + height + gap;
+  if (labelY + labelHeight > this.canvas.height) labelY = y - gap - labelHeight;
+  if (labelY < 0) labelY = y + height - gap - labelHeight;
+  const labelX = Math.max(0, Math.min(x + (width - labelWidth) / 2, this.canvas.width - labelWidth));
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+  ctx.beginPath();
+  ctx.roundRect(labelX, labelY, labelWidth, labelHeight, 4 * unit);
+  ctx.fill();
+  ctx.fillStyle = '#FFFFFF';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, labelX + labelWidth / 2, labelY + labelHeight / 2);
+  ctx.restore();
 }
 
 /**
- * Draws the interactive square corner handles for the crop selection box.
+ * Draws the interactive square corner and edge handles for the crop selection box.
  */
-export function drawCornerHandles(x, y, width, height) {
+export function drawCropHandles(x, y, width, height) {
   if (!this.ctx) return;
-  const handleSize = 8;
+  const handleSize = Math.max(8, this.getHitTolerance());
   const handleOffset = handleSize / 2;
-  const corners = [ [x, y], [x + width, y], [x, y + height], [x + width, y + height] ];
   this.ctx.fillStyle = '#007AFF';
   this.ctx.strokeStyle = '#FFFFFF'; // White border for contrast
-  this.ctx.lineWidth = 1;
-  corners.forEach(([cx, cy]) => {
+  this.ctx.lineWidth = Math.max(1, handleSize / 8);
+  cropHandlePoints(x, y, width, height).forEach(({ x: cx, y: cy }) => {
     this.ctx.fillRect(cx - handleOffset, cy - handleOffset, handleSize, handleSize);
     this.ctx.strokeRect(cx - handleOffset, cy - handleOffset, handleSize, handleSize);
   });
 }
 
+function cropHandlePoints(x, y, width, height) {
+  const cx = x + width / 2;
+  const cy = y + height / 2;
+  return [
+    { name: 'nw', x, y }, { name: 'n', x: cx, y }, { name: 'ne', x: x + width, y },
+    { name: 'e', x: x + width, y: cy }, { name: 'se', x: x + width, y: y + height },
+    { name: 's', x: cx, y: y + height }, { name: 'sw', x, y: y + height }, { name: 'w', x, y: cy }
+  ];
+}
+
 /**
- * Renders a single annotation element (rect, arrow, or text) onto a context.
- * Arrows and text get a white casing/outline so red stays visible on any background.
+ * Finds which part of the current crop selection is under a point.
+ * @returns {string | null} A handle ('nw', 'n', … 'w'), 'move' inside the
+ *          selection (or on a handle of an exact-size one), or null outside
+ *          it (or with no selection).
+ */
+export function hitTestCropHandle(pos) {
+  const selection = this.getCropSelection();
+  if (!selection || selection.width < 2 || selection.height < 2) return null;
+  const tol = this.getHitTolerance();
+  const handle = cropHandlePoints(selection.x, selection.y, selection.width, selection.height)
+    .find(point => Math.abs(pos.x - point.x) <= tol && Math.abs(pos.y - point.y) <= tol);
+  if (handle) return this.cropPreset.size ? 'move' : handle.name;
+  const inside = pos.x >= selection.x && pos.x <= selection.x + selection.width &&
+                 pos.y >= selection.y && pos.y <= selection.y + selection.height;
+  return inside ? 'move' : null;
+}
+
+/**
+ * The part of the image currently shown on the canvas, in image coordinates:
+ * the crop rectangle, or the whole image while cropping or when uncropped.
+ */
+export function getViewRect() {
+  const crop = this.canvasState.crop;
+  if (!crop || this.isToolActive('crop')) {
+    return { x: 0, y: 0, width: this.offscreenCanvas.width, height: this.offscreenCanvas.height };
+  }
+  return crop;
+}
+
+// Smallest mosaic block / blur radius (image px). Finer mosaics of text can be
+// reversed by brute-forcing the glyphs, so smaller sizes aren't offered.
+export const MIN_REDACTION_SIZE = 8;
+
+/**
+ * Renders a single annotation element (rect, arrow, shape or text) onto a context.
+ * Arrows, shapes and text get a white casing/outline so red stays visible on any background.
  */
 export function renderElement(ctx, element) {
   if (!element) return;
   if (element.type === 'rect') {
+    if (element.mode === 'pixelate' || element.mode === 'blur') {
+      const redacted = this.getRedactedRegion(element);
+      if (redacted) ctx.drawImage(redacted.canvas, redacted.x, redacted.y);
+      return;
+    }
     ctx.fillStyle = element.color || '#000000';
     ctx.fillRect(element.x, element.y, element.width, element.height);
-  } else if (element.type === 'arrow') {
+    return;
+  }
+  // Translucent annotations (the highlighter handles its own alpha)
+  const faded = element.type !== 'highlight' && element.opacity != null && element.opacity < 1;
+  if (faded) {
+    ctx.save();
+    ctx.globalAlpha = element.opacity;
+  }
+  if (element.type === 'arrow') {
     strokeArrowShape(ctx, element, '#FFFFFF', (element.width || 5) + 2); // slim white casing
     strokeArrowShape(ctx, element, element.color || '#FF3B30', element.width || 5);
+  } else if (isShape(element)) {
+    strokeShape(ctx, element, '#FFFFFF', element.lineWidth + 2); // slim white casing
+    strokeShape(ctx, element, element.color || '#FF3B30', element.lineWidth);
+  } else if (element.type === 'pen') {
+    strokePath(ctx, element.points, '#FFFFFF', element.lineWidth + 2); // slim white casing
+    strokePath(ctx, element.points, element.color || '#FF3B30', element.lineWidth);
+  } else if (element.type === 'highlight') {
+    // Multiply darkens like a real highlighter, so text underneath stays readable
+    ctx.save();
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.globalAlpha = element.opacity ?? 0.6;
+    strokePath(ctx, element.points, element.color || '#FFE600', element.lineWidth);
+    ctx.restore();
+  } else if (element.type === 'step') {
+    renderStep(ctx, element, this.getStepNumber(element));
   } else if (element.type === 'text') {
-    ctx.font = textFont(element);
-    ctx.textBaseline = 'top';
-    ctx.textAlign = 'left';
+    renderText(ctx, element);
+  } else if (element.type === 'callout') {
+    renderCallout(ctx, element);
+  } else if (element.type === 'magnifier') {
+    this.renderMagnifier(ctx, element);
+  } else if (element.type === 'spotlight') {
+    this.renderSpotlight(ctx, element);
+  }
+  if (faded) ctx.restore();
+}
+
+/**
+ * Returns the pixelated or blurred pixels for a redaction rect, computed from
+ * the base image and cached per element until the element or image changes.
+ * The result only ever depends on block averages of the original pixels —
+ * blur is applied on top of a mosaic rather than to the original — so none
+ * of the detail under the redaction survives in the exported image.
+ * @returns {{canvas: OffscreenCanvas, x: number, y: number} | null}
+ */
+export function getRedactedRegion(element) {
+  const source = this.offscreenCanvas;
+  const x = Math.max(0, Math.floor(element.x));
+  const y = Math.max(0, Math.floor(element.y));
+  const width = Math.min(source.width, Math.ceil(element.x + element.width)) - x;
+  const height = Math.min(source.height, Math.ceil(element.y + element.height)) - y;
+  if (width < 1 || height < 1) return null;
+
+  const size = Math.max(MIN_REDACTION_SIZE, Math.round(element.size || 0));
+  const key = `${element.mode}:${size}:${x},${y},${width},${height}`;
+  const cached = this.canvasState.redactionCache.get(element);
+  if (cached && cached.key === key) return cached;
+
+  // Mosaic: shrink so each block becomes one averaged pixel, then scale back
+  // up without smoothing. Whole pixels only, so every block stays opaque and
+  // nothing of the original shows through at the edges.
+  const columns = Math.max(1, Math.round(width / size));
+  const rows = Math.max(1, Math.round(height / size));
+  const blocks = new OffscreenCanvas(columns, rows);
+  const blocksCtx = blocks.getContext('2d');
+  blocksCtx.imageSmoothingEnabled = true;
+  blocksCtx.imageSmoothingQuality = 'high';
+  blocksCtx.drawImage(source, x, y, width, height, 0, 0, columns, rows);
+
+  const canvas = new OffscreenCanvas(width, height);
+  const canvasCtx = canvas.getContext('2d');
+  canvasCtx.imageSmoothingEnabled = false;
+  canvasCtx.drawImage(blocks, 0, 0, width, height);
+
+  if (element.mode === 'blur') {
+    // Blur the mosaic over itself: the soft edges blend into the mosaic
+    // underneath instead of letting transparent (or original) pixels through
+    const mosaic = new OffscreenCanvas(width, height);
+    mosaic.getContext('2d').drawImage(canvas, 0, 0);
+    canvasCtx.filter = `blur(${size}px)`;
+    canvasCtx.drawImage(mosaic, 0, 0);
+    canvasCtx.filter = 'none';
+  }
+
+  const result = { key, canvas, x, y };
+  this.canvasState.redactionCache.set(element, result);
+  return result;
+}
+
+/**
+ * Returns the annotation elements in drawing order: redactions first, then
+ * the spotlight (so it darkens the redacted image but not the annotations
+ * pointing into it), then everything else in the order it was added.
+ */
+export function getRenderOrder() {
+  const layer = element => element.type === 'rect' ? 0 : element.type === 'spotlight' ? 1 : 2;
+  return [...this.elements.annotationElements].sort((a, b) => layer(a) - layer(b));
+}
+
+/**
+ * Returns the document's spotlight element, if it has one.
+ */
+export function getSpotlight() {
+  return this.elements.annotationElements.find(element => element.type === 'spotlight') || null;
+}
+
+function traceRegion(ctx, region) {
+  ctx.beginPath();
+  if (region.shape === 'ellipse') {
+    ctx.ellipse(region.x + region.width / 2, region.y + region.height / 2, region.width / 2, region.height / 2, 0, 0, Math.PI * 2);
+  } else {
+    ctx.rect(region.x, region.y, region.width, region.height);
+  }
+}
+
+/**
+ * Draws a spotlight: darkens (or blurs) the whole image, then redraws the
+ * image and its redactions inside each region. This relies on the spotlight
+ * being drawn straight after the redactions (see getRenderOrder), and keeps
+ * overlapping regions simple. The region being dragged out with the
+ * spotlight tool is included as a preview.
+ */
+export function renderSpotlight(ctx, el) {
+  const source = this.offscreenCanvas;
+  const drafting = this.drawingState.spotlightRegion;
+  const regions = drafting && el === this.getSpotlight() ? [...el.regions, drafting] : el.regions;
+  const redactions = this.elements.annotationElements.filter(element => element.type === 'rect');
+
+  if (el.effect === 'blur') {
+    ctx.drawImage(this.getSpotlightBlurLayer(el, redactions), 0, 0);
+  } else {
+    ctx.fillStyle = `rgba(0, 0, 0, ${el.dim ?? 0.6})`;
+    ctx.fillRect(0, 0, source.width, source.height);
+  }
+  regions.forEach(region => {
+    ctx.save();
+    traceRegion(ctx, region);
+    ctx.clip();
+    ctx.drawImage(source, 0, 0);
+    redactions.filter(redaction => rectsOverlap(redaction, region)).forEach(redaction => this.renderElement(ctx, redaction));
+    ctx.restore();
+  });
+}
+
+/**
+ * Returns the blurred copy of the (redacted) image a blur spotlight draws
+ * outside its regions, cached with the redaction pixels until the blur
+ * radius, the redactions or the image change.
+ */
+export function getSpotlightBlurLayer(el, redactions) {
+  const source = this.offscreenCanvas;
+  const radius = Math.max(2, Math.round(el.blur || 12));
+  const key = `${radius}:${source.width}x${source.height}:${JSON.stringify(redactions)}`;
+  const cached = this.canvasState.redactionCache.get(el);
+  if (cached && cached.key === key) return cached.canvas;
+
+  // Blur the redacted image over a sharp copy of itself, so the edges fade
+  // into the image rather than to transparent
+  const canvas = new OffscreenCanvas(source.width, source.height);
+  const canvasCtx = canvas.getContext('2d');
+  canvasCtx.drawImage(source, 0, 0);
+  redactions.forEach(redaction => this.renderElement(canvasCtx, redaction));
+  const sharp = new OffscreenCanvas(source.width, source.height);
+  sharp.getContext('2d').drawImage(canvas, 0, 0);
+  canvasCtx.filter = `blur(${radius}px)`;
+  canvasCtx.drawImage(sharp, 0, 0);
+  canvasCtx.filter = 'none';
+
+  this.canvasState.redactionCache.set(el, { key, canvas });
+  return canvas;
+}
+
+// Line height of text annotations, as a multiple of the font size
+export const TEXT_LINE_HEIGHT = 1.2;
+
+/**
+ * Lays out a (possibly multi-line) text element. x/y is the top-left of the
+ * text block; lines are aligned within the width of the longest one. box is
+ * the area covered, including the padding of the background box if it has one.
+ */
+function layoutText(ctx, element) {
+  ctx.font = textFont(element);
+  const lineHeight = element.fontSize * TEXT_LINE_HEIGHT;
+  const texts = element.text.split('\n');
+  const widths = texts.map(text => ctx.measureText(text).width);
+  const width = Math.max(...widths);
+  const shift = { center: 0.5, right: 1 }[element.align] || 0;
+  const lines = texts.map((text, i) => ({
+    text,
+    x: element.x + (width - widths[i]) * shift,
+    y: element.y + i * lineHeight,
+    width: widths[i],
+    height: lineHeight
+  }));
+  const pad = element.background ? Math.round(element.fontSize * 0.3) : 0;
+  const box = { x: element.x - pad, y: element.y - pad, width: width + pad * 2, height: texts.length * lineHeight + pad * 2 };
+  return { lines, box, pad };
+}
+
+function renderText(ctx, element) {
+  const { lines, box, pad } = layoutText(ctx, element);
+  const color = element.color || '#FF3B30';
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'left';
+  if (element.background) {
+    // The box already separates the text from the image, so no outline
+    ctx.fillStyle = textBackgroundColor(color);
+    ctx.beginPath();
+    ctx.roundRect(box.x, box.y, box.width, box.height, pad);
+    ctx.fill();
+  } else {
     ctx.lineJoin = 'round';
     ctx.strokeStyle = '#FFFFFF';
     ctx.lineWidth = Math.max(1.5, element.fontSize / 12); // slim white outline
-    ctx.strokeText(element.text, element.x, element.y);
-    ctx.fillStyle = element.color || '#FF3B30';
-    ctx.fillText(element.text, element.x, element.y);
+    lines.forEach(line => ctx.strokeText(line.text, line.x, line.y));
   }
+  ctx.fillStyle = color;
+  lines.forEach(line => ctx.fillText(line.text, line.x, line.y));
 }
 
-function textFont(element) {
-  return `bold ${element.fontSize}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+// White behind dark or saturated text, near-black behind light text
+function textBackgroundColor(color) {
+  const hex = /^#([0-9a-f]{6})$/i.exec(color);
+  if (!hex) return '#FFFFFF';
+  const n = parseInt(hex[1], 16);
+  const luminance = (0.299 * (n >> 16) + 0.587 * ((n >> 8) & 255) + 0.114 * (n & 255)) / 255;
+  return luminance > 0.7 ? '#1C1C1E' : '#FFFFFF';
+}
+
+/**
+ * Word-wraps text (which may contain line breaks) to maxWidth using the
+ * context's current font. A word longer than the width gets a line of its own.
+ */
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  text.split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(' ').forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+/**
+ * Lays out a callout: its text wrapped to the box width, and the box grown
+ * taller if the text needs more room than the size it was drawn at.
+ */
+function layoutCallout(ctx, element) {
+  const font = { fontSize: element.fontSize, fontWeight: 'normal' };
+  ctx.font = textFont(font);
+  const pad = Math.round(element.fontSize * 0.6);
+  const lineHeight = element.fontSize * TEXT_LINE_HEIGHT;
+  const width = Math.max(element.width, element.fontSize * 3);
+  const lines = element.text ? wrapText(ctx, element.text, width - pad * 2) : [];
+  const height = Math.max(element.height, lines.length * lineHeight + pad * 2, element.fontSize * 2);
+  return { box: { x: element.x, y: element.y, width, height }, lines, pad, lineHeight, font };
+}
+
+/**
+ * Returns a callout's layout ({box, lines, pad, lineHeight, font}), for the
+ * inline editor to line up with the bubble.
+ */
+export function getCalloutLayout(element) {
+  return layoutCallout(this.ctx, element);
+}
+
+/**
+ * Where the tail leaves the box: a base on the side facing the tip, or null
+ * while the tip is inside the box.
+ */
+function calloutTailBase(box, tip, size) {
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  const dx = tip.x - cx;
+  const dy = tip.y - cy;
+  if (Math.abs(dx) <= box.width / 2 && Math.abs(dy) <= box.height / 2) return null;
+  const radius = Math.min(size, box.width / 2, box.height / 2);
+  // Start the base inside the box so the outline has no seam at the mouth
+  const inset = Math.min(radius, size * 0.5);
+  if (Math.abs(dy) / box.height >= Math.abs(dx) / box.width) {
+    const half = Math.min(size * 0.7, (box.width - radius * 2) / 2);
+    const x = Math.min(Math.max(tip.x, box.x + radius + half), box.x + box.width - radius - half);
+    const y = dy > 0 ? box.y + box.height - inset : box.y + inset;
+    return [{ x: x - half, y }, { x: x + half, y }];
+  }
+  const half = Math.min(size * 0.7, (box.height - radius * 2) / 2);
+  const y = Math.min(Math.max(tip.y, box.y + radius + half), box.y + box.height - radius - half);
+  const x = dx > 0 ? box.x + box.width - inset : box.x + inset;
+  return [{ x, y: y - half }, { x, y: y + half }];
+}
+
+// Box and tail as one path
+function traceCallout(ctx, box, tip, size) {
+  ctx.beginPath();
+  ctx.roundRect(box.x, box.y, box.width, box.height, Math.min(size, box.width / 2, box.height / 2));
+  const base = calloutTailBase(box, tip, size);
+  if (base) {
+    ctx.moveTo(base[0].x, base[0].y);
+    ctx.lineTo(tip.x, tip.y);
+    ctx.lineTo(base[1].x, base[1].y);
+    ctx.closePath();
+  }
+}
+
+/**
+ * Draws a callout: a filled speech bubble with a colored border and a slim
+ * white casing (like arrows and text), then its text in the border color.
+ * The outline is stroked at double width and then covered by the fill, so
+ * only the outer half shows and the box edge doesn't cut across the tail.
+ */
+function renderCallout(ctx, element) {
+  const { box, lines, pad, lineHeight, font } = layoutCallout(ctx, element);
+  const color = element.color || '#FF3B30';
+  const size = element.fontSize * 0.6;
+  traceCallout(ctx, box, element.tail, size);
+  ctx.lineJoin = 'round';
+  ctx.strokeStyle = '#FFFFFF';
+  ctx.lineWidth = element.lineWidth * 2 + 2;
+  ctx.stroke();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = element.lineWidth * 2;
+  ctx.stroke();
+  ctx.fillStyle = textBackgroundColor(color);
+  ctx.fill();
+  if (element.hideText) return; // Being typed in the inline editor
+  ctx.font = textFont(font);
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'left';
+  ctx.fillStyle = color;
+  lines.forEach((line, i) => ctx.fillText(line, box.x + pad, box.y + pad + i * lineHeight));
+}
+
+// The zoomed copy of a magnifier: its source scaled by zoom, centered on x/y
+function magnifierLens(el) {
+  const width = el.source.width * el.zoom;
+  const height = el.source.height * el.zoom;
+  return { x: el.x - width / 2, y: el.y - height / 2, width, height };
+}
+
+function traceLens(ctx, lens, shape) {
+  ctx.beginPath();
+  if (shape === 'circle') {
+    ctx.ellipse(lens.x + lens.width / 2, lens.y + lens.height / 2, lens.width / 2, lens.height / 2, 0, 0, Math.PI * 2);
+  } else {
+    ctx.rect(lens.x, lens.y, lens.width, lens.height);
+  }
+}
+
+// Where the line from a rect's (or inscribed ellipse's) center toward a point leaves it
+function edgePointToward(rect, shape, point) {
+  const cx = rect.x + rect.width / 2;
+  const cy = rect.y + rect.height / 2;
+  const dx = point.x - cx;
+  const dy = point.y - cy;
+  const rx = rect.width / 2;
+  const ry = rect.height / 2;
+  const t = shape === 'circle'
+    ? 1 / Math.hypot(dx / rx, dy / ry)
+    : Math.min(dx ? rx / Math.abs(dx) : Infinity, dy ? ry / Math.abs(dy) : Infinity);
+  return { x: cx + dx * Math.min(t, 1), y: cy + dy * Math.min(t, 1) };
+}
+
+function rectsOverlap(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Draws a magnifier: the source region outlined on the image, a zoomed copy
+ * in its lens and optionally a connector between them. The copy is scaled
+ * straight from the full-resolution base image without smoothing, so small
+ * text and icons stay crisp in the export. Redactions over the source are
+ * drawn into the lens too, so it can never reveal what they hide.
+ */
+export function renderMagnifier(ctx, el) {
+  const lens = magnifierLens(el);
+  const { source } = el;
+  const color = el.color || '#FF3B30';
+  const strokeBoth = (width) => {
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.lineWidth = width + 2; // slim white casing
+    ctx.stroke();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.stroke();
+  };
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+
+  if (el.connector && !rectsOverlap(lens, source)) {
+    const from = edgePointToward(source, 'rect', { x: el.x, y: el.y });
+    const to = edgePointToward(lens, el.shape, { x: source.x + source.width / 2, y: source.y + source.height / 2 });
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    strokeBoth(Math.max(1, el.lineWidth / 2));
+  }
+  ctx.beginPath();
+  ctx.rect(source.x, source.y, source.width, source.height);
+  strokeBoth(Math.max(1, el.lineWidth / 2));
+
+  ctx.save();
+  traceLens(ctx, lens, el.shape);
+  ctx.clip();
+  ctx.translate(lens.x - source.x * el.zoom, lens.y - source.y * el.zoom);
+  ctx.scale(el.zoom, el.zoom);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(this.offscreenCanvas, 0, 0);
+  this.elements.annotationElements
+    .filter(element => element.type === 'rect' && rectsOverlap(element, source))
+    .forEach(redaction => this.renderElement(ctx, redaction));
+  ctx.restore();
+
+  traceLens(ctx, lens, el.shape);
+  strokeBoth(el.lineWidth);
+}
+
+/**
+ * Returns the number shown on a step badge: its position among the step
+ * badges in the document, so deleting or reordering one renumbers the rest.
+ * A badge that isn't in the document yet (being placed) comes next.
+ */
+export function getStepNumber(element) {
+  const steps = this.elements.annotationElements.filter(el => el.type === 'step');
+  const index = steps.indexOf(element);
+  return (index === -1 ? steps.length : index) + 1;
+}
+
+// Radius of a step badge's circle for its font size
+function stepRadius(element) {
+  return Math.round(element.size * 0.8);
+}
+
+function renderStep(ctx, el, number) {
+  const radius = stepRadius(el);
+  const color = el.color || '#FF3B30';
+  const lineWidth = Math.max(3, Math.round(el.size / 8));
+  if (el.target) {
+    // Leader from the badge's edge to the target
+    const angle = Math.atan2(el.target.y - el.y, el.target.x - el.x);
+    const leader = {
+      x1: el.x + Math.cos(angle) * radius, y1: el.y + Math.sin(angle) * radius,
+      x2: el.target.x, y2: el.target.y
+    };
+    if (el.leader === 'line') {
+      strokeShape(ctx, { type: 'line', ...leader }, '#FFFFFF', lineWidth + 2);
+      strokeShape(ctx, { type: 'line', ...leader }, color, lineWidth);
+    } else {
+      strokeArrowShape(ctx, leader, '#FFFFFF', lineWidth + 2);
+      strokeArrowShape(ctx, leader, color, lineWidth);
+    }
+  }
+  ctx.beginPath();
+  ctx.arc(el.x, el.y, radius, 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.lineWidth = Math.max(2, radius / 8);
+  ctx.strokeStyle = '#FFFFFF';
+  ctx.stroke();
+  ctx.font = textFont({ fontSize: number > 9 ? el.size * 0.85 : el.size });
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillText(String(number), el.x, el.y + el.size * 0.05);
+}
+
+// Outlined shapes drawn with the shape tool
+function isShape(element) {
+  return element.type === 'box' || element.type === 'ellipse' || element.type === 'line';
+}
+
+function strokeShape(ctx, el, color, width) {
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  if (el.type === 'box') {
+    ctx.roundRect(el.x, el.y, el.width, el.height, Math.min(el.radius || 0, el.width / 2, el.height / 2));
+  } else if (el.type === 'ellipse') {
+    ctx.ellipse(el.x + el.width / 2, el.y + el.height / 2, el.width / 2, el.height / 2, 0, 0, Math.PI * 2);
+  } else {
+    ctx.moveTo(el.x1, el.y1);
+    ctx.lineTo(el.x2, el.y2);
+  }
+  ctx.stroke();
+}
+
+/**
+ * Strokes a freehand path as a smooth curve: quadratic segments between the
+ * midpoints of consecutive points, using the points as control points.
+ */
+function strokePath(ctx, points, color, width) {
+  if (!points || points.length === 0) return;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  ctx.moveTo(points[0].x, points[0].y);
+  for (let i = 1; i < points.length - 1; i++) {
+    const midX = (points[i].x + points[i + 1].x) / 2;
+    const midY = (points[i].y + points[i + 1].y) / 2;
+    ctx.quadraticCurveTo(points[i].x, points[i].y, midX, midY);
+  }
+  const last = points[points.length - 1];
+  ctx.lineTo(last.x, last.y);
+  ctx.stroke();
 }
 
 function strokeArrowShape(ctx, el, color, width) {
@@ -127,22 +708,64 @@ export function defaultFontSize() {
  * Returns the bounding box {x, y, width, height} of an element in canvas coordinates.
  */
 export function getElementBounds(element) {
-  if (element.type === 'rect') {
+  if (element.type === 'rect' || element.type === 'box' || element.type === 'ellipse') {
     return { x: element.x, y: element.y, width: element.width, height: element.height };
   }
-  if (element.type === 'arrow') {
+  if (element.type === 'pen' || element.type === 'highlight') {
+    const xs = element.points.map(p => p.x);
+    const ys = element.points.map(p => p.y);
+    const pad = element.lineWidth / 2;
+    const x = Math.min(...xs) - pad;
+    const y = Math.min(...ys) - pad;
+    return { x, y, width: Math.max(...xs) + pad - x, height: Math.max(...ys) + pad - y };
+  }
+  if (element.type === 'step') {
+    const radius = stepRadius(element);
+    return { x: element.x - radius, y: element.y - radius, width: radius * 2, height: radius * 2 };
+  }
+  if (element.type === 'arrow' || element.type === 'line') {
     const x = Math.min(element.x1, element.x2);
     const y = Math.min(element.y1, element.y2);
     return { x, y, width: Math.abs(element.x2 - element.x1), height: Math.abs(element.y2 - element.y1) };
   }
   if (element.type === 'text') {
-    this.ctx.font = textFont(element);
-    const width = this.ctx.measureText(element.text).width;
-    return { x: element.x, y: element.y, width, height: element.fontSize * 1.2 };
+    return layoutText(this.ctx, element).box;
+  }
+  if (element.type === 'spotlight') {
+    const x = Math.min(...element.regions.map(r => r.x));
+    const y = Math.min(...element.regions.map(r => r.y));
+    const right = Math.max(...element.regions.map(r => r.x + r.width));
+    const bottom = Math.max(...element.regions.map(r => r.y + r.height));
+    return { x, y, width: right - x, height: bottom - y };
+  }
+  if (element.type === 'magnifier') {
+    const lens = magnifierLens(element);
+    const x = Math.min(lens.x, element.source.x);
+    const y = Math.min(lens.y, element.source.y);
+    const right = Math.max(lens.x + lens.width, element.source.x + element.source.width);
+    const bottom = Math.max(lens.y + lens.height, element.source.y + element.source.height);
+    return { x, y, width: right - x, height: bottom - y };
+  }
+  if (element.type === 'callout') {
+    const { box } = layoutCallout(this.ctx, element);
+    const x = Math.min(box.x, element.tail.x);
+    const y = Math.min(box.y, element.tail.y);
+    const right = Math.max(box.x + box.width, element.tail.x);
+    const bottom = Math.max(box.y + box.height, element.tail.y);
+    return { x, y, width: right - x, height: bottom - y };
   }
   return { x: 0, y: 0, width: 0, height: 0 };
 }
 
+/**
+ * Returns the bounds of what moving an element's body drags along: a
+ * magnifier moved on its own (not with other elements) leaves its source
+ * region in place, so only its lens moves.
+ */
+export function getMovedBounds(element, whole) {
+  return element.type === 'magnifier' && !whole ? magnifierLens(element) : this.getElementBounds(element);
+}
+
 /**
  * Hit tolerance in canvas (bitmap) pixels, compensating for display scaling.
  */
@@ -153,32 +776,98 @@ export function getHitTolerance() {
 
 /**
  * Finds the topmost element under a canvas-space point.
- * @returns {{element, part} | null} part is 'body', an arrow endpoint ('p1'/'p2'),
- *          or 'resize' (text corner handle). Handles are only reported for the
- *          currently selected element.
+ * @returns {{element, part} | null} part is 'body', an arrow/line endpoint
+ *          ('p1'/'p2'), a box/ellipse/callout corner ('nw', 'ne', 'se', 'sw'),
+ *          a step badge's leader 'target', a callout's 'tail' tip, a
+ *          magnifier's 'source' region, 'source-resize' or 'zoom' handle, or
+ *          'resize' (text corner handle). For a spotlight, index is the
+ *          region hit, whose 'body' or corner was grabbed.
+ *          Handles are only reported for the currently selected element.
  */
 export function hitTestElement(pos) {
   const tol = this.getHitTolerance();
   const selected = this.state.selected;
-  const elements = this.elements.annotationElements;
+  const elements = this.getRenderOrder();
 
   // Handles of the selected element take priority
   if (selected) {
-    if (selected.type === 'arrow') {
+    if (selected.type === 'arrow' || selected.type === 'line') {
       if (Math.hypot(pos.x - selected.x1, pos.y - selected.y1) <= tol * 1.5) return { element: selected, part: 'p1' };
       if (Math.hypot(pos.x - selected.x2, pos.y - selected.y2) <= tol * 1.5) return { element: selected, part: 'p2' };
     } else if (selected.type === 'text') {
       const b = this.getElementBounds(selected);
       if (Math.hypot(pos.x - (b.x + b.width), pos.y - (b.y + b.height)) <= tol * 1.5) return { element: selected, part: 'resize' };
+    } else if (selected.type === 'box' || selected.type === 'ellipse') {
+      const corner = boxCorners(selected).find(c => Math.hypot(pos.x - c.x, pos.y - c.y) <= tol * 1.5);
+      if (corner) return { element: selected, part: corner.name };
+    } else if (selected.type === 'step' && selected.target) {
+      if (Math.hypot(pos.x - selected.target.x, pos.y - selected.target.y) <= tol * 1.5) return { element: selected, part: 'target' };
+    } else if (selected.type === 'spotlight') {
+      for (let index = selected.regions.length - 1; index >= 0; index--) {
+        const corner = boxCorners(selected.regions[index]).find(c => Math.hypot(pos.x - c.x, pos.y - c.y) <= tol * 1.5);
+        if (corner) return { element: selected, part: corner.name, index };
+      }
+    } else if (selected.type === 'magnifier') {
+      const lens = magnifierLens(selected);
+      const { source } = selected;
+      if (Math.hypot(pos.x - (lens.x + lens.width), pos.y - (lens.y + lens.height)) <= tol * 1.5) return { element: selected, part: 'zoom' };
+      if (Math.hypot(pos.x - (source.x + source.width), pos.y - (source.y + source.height)) <= tol * 1.5) return { element: selected, part: 'source-resize' };
+    } else if (selected.type === 'callout') {
+      if (Math.hypot(pos.x - selected.tail.x, pos.y - selected.tail.y) <= tol * 1.5) return { element: selected, part: 'tail' };
+      const corner = boxCorners(layoutCallout(this.ctx, selected).box).find(c => Math.hypot(pos.x - c.x, pos.y - c.y) <= tol * 1.5);
+      if (corner) return { element: selected, part: corner.name };
     }
   }
 
   for (let i = elements.length - 1; i >= 0; i--) {
     const el = elements[i];
     if (!el) continue;
-    if (el.type === 'rect') continue; // Blackout boxes are permanent, not adjustable
-    if (el.type === 'arrow') {
-      if (distToSegment(pos, { x: el.x1, y: el.y1 }, { x: el.x2, y: el.y2 }) <= tol) return { element: el, part: 'body' };
+    if (el.type === 'rect') continue; // Redactions are permanent, not adjustable
+    if (el.type === 'arrow' || el.type === 'line') {
+      const reach = Math.max(tol, (el.width || el.lineWidth || 0) / 2);
+      if (distToSegment(pos, { x: el.x1, y: el.y1 }, { x: el.x2, y: el.y2 }) <= reach) return { element: el, part: 'body' };
+    } else if (el.type === 'step') {
+      if (Math.hypot(pos.x - el.x, pos.y - el.y) <= stepRadius(el) + tol / 2) return { element: el, part: 'body' };
+      if (el.target && distToSegment(pos, el, el.target) <= tol) return { element: el, part: 'body' };
+    } else if (el.type === 'pen' || el.type === 'highlight') {
+      const reach = Math.max(tol, el.lineWidth / 2);
+      const near = el.points.some((p, j) => distToSegment(pos, p, el.points[Math.min(j + 1, el.points.length - 1)]) <= reach);
+      if (near) return { element: el, part: 'body' };
+    } else if (el.type === 'box' || el.type === 'ellipse') {
+      // Only the outline is grabbable, so whatever the shape circles stays clickable
+      if (distToOutline(pos, el) <= Math.max(tol, el.lineWidth / 2 + tol / 2)) return { element: el, part: 'body' };
+    } else if (el.type === 'text') {
+      // Without a background box only the lines themselves count, not the
+      // empty space beside a short line
+      const { lines, box } = layoutText(this.ctx, el);
+      const areas = el.background ? [box] : lines;
+      const inside = areas.some(b => pos.x >= b.x - tol && pos.x <= b.x + b.width + tol && pos.y >= b.y - tol && pos.y <= b.y + b.height + tol);
+      if (inside) return { element: el, part: 'body' };
+    } else if (el.type === 'spotlight') {
+      // Only region outlines are grabbable, so what's in the spotlight (and
+      // the dimmed area around it) can still be clicked and drawn on
+      for (let index = el.regions.length - 1; index >= 0; index--) {
+        const region = el.regions[index];
+        const outline = { type: region.shape === 'ellipse' ? 'ellipse' : 'box', ...region };
+        if (distToOutline(pos, outline) <= tol) return { element: el, part: 'body', index };
+      }
+    } else if (el.type === 'magnifier') {
+      // Dragging the lens moves the zoomed copy; dragging the source frame
+      // picks a different region to zoom into
+      const lens = magnifierLens(el);
+      const inLens = el.shape === 'circle'
+        ? Math.hypot((pos.x - el.x) / (lens.width / 2), (pos.y - el.y) / (lens.height / 2)) <= 1 + tol / Math.min(lens.width, lens.height)
+        : pos.x >= lens.x - tol && pos.x <= lens.x + lens.width + tol && pos.y >= lens.y - tol && pos.y <= lens.y + lens.height + tol;
+      if (inLens) return { element: el, part: 'body' };
+      if (distToOutline(pos, { type: 'box', ...el.source }) <= tol) return { element: el, part: 'source' };
+    } else if (el.type === 'callout') {
+      // The bubble is opaque, so all of it is grabbable, plus the tail
+      const { box } = layoutCallout(this.ctx, el);
+      if (pos.x >= box.x - tol && pos.x <= box.x + box.width + tol && pos.y >= box.y - tol && pos.y <= box.y + box.height + tol) {
+        return { element: el, part: 'body' };
+      }
+      const center = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+      if (distToSegment(pos, center, el.tail) <= tol) return { element: el, part: 'body' };
     } else {
       const b = this.getElementBounds(el);
       if (pos.x >= b.x - tol && pos.x <= b.x + b.width + tol && pos.y >= b.y - tol && pos.y <= b.y + b.height + tol) {
@@ -189,6 +878,52 @@ export function hitTestElement(pos) {
   return null;
 }
 
+/**
+ * Moves an element by (dx, dy) from the position it had in original (a deep
+ * copy taken when the drag started).
+ * @param {boolean} [whole=false] - Move a magnifier's source region along
+ *        with its lens (when it moves together with other elements).
+ */
+export function translateElement(element, original, dx, dy, whole = false) {
+  if (element.type === 'arrow' || element.type === 'line') {
+    element.x1 = original.x1 + dx; element.y1 = original.y1 + dy;
+    element.x2 = original.x2 + dx; element.y2 = original.y2 + dy;
+  } else if (element.points) {
+    element.points = original.points.map(p => ({ x: p.x + dx, y: p.y + dy }));
+  } else if (element.regions) {
+    element.regions = original.regions.map(r => ({ ...r, x: r.x + dx, y: r.y + dy }));
+  } else {
+    element.x = original.x + dx;
+    element.y = original.y + dy;
+    if (original.target) element.target = { x: original.target.x + dx, y: original.target.y + dy };
+    if (original.tail) element.tail = { x: original.tail.x + dx, y: original.tail.y + dy };
+    if (whole && original.source) element.source = { ...original.source, x: original.source.x + dx, y: original.source.y + dy };
+  }
+}
+
+// Corner handles of a box or ellipse, named by compass direction
+function boxCorners(el) {
+  return [
+    { name: 'nw', x: el.x, y: el.y }, { name: 'ne', x: el.x + el.width, y: el.y },
+    { name: 'se', x: el.x + el.width, y: el.y + el.height }, { name: 'sw', x: el.x, y: el.y + el.height }
+  ];
+}
+
+// Approximate distance from a point to the outline of a box or ellipse
+function distToOutline(p, el) {
+  if (el.type === 'ellipse') {
+    const rx = el.width / 2;
+    const ry = el.height / 2;
+    if (rx < 1 || ry < 1) return Math.hypot(p.x - (el.x + rx), p.y - (el.y + ry));
+    const r = Math.hypot((p.x - el.x - rx) / rx, (p.y - el.y - ry) / ry);
+    return Math.abs(r - 1) * Math.min(rx, ry);
+  }
+  const dx = Math.max(el.x - p.x, 0, p.x - (el.x + el.width));
+  const dy = Math.max(el.y - p.y, 0, p.y - (el.y + el.height));
+  if (dx > 0 || dy > 0) return Math.hypot(dx, dy);
+  return Math.min(p.x - el.x, el.x + el.width - p.x, p.y - el.y, el.y + el.height - p.y);
+}
+
 function distToSegment(p, a, b) {
   const dx = b.x - a.x, dy = b.y - a.y;
   const lenSq = dx * dx + dy * dy;
@@ -206,23 +941,74 @@ export function drawSelectionOverlay(ctx, element) {
   const tol = this.getHitTolerance();
   const handle = Math.max(6, tol * 0.9);
   ctx.save();
-  if (element.type === 'arrow') {
+  if (element.type === 'arrow' || element.type === 'line') {
     drawHandle(ctx, element.x1, element.y1, handle);
     drawHandle(ctx, element.x2, element.y2, handle);
   } else {
-    const b = this.getElementBounds(element);
+    // A callout's frame hugs its bubble, a magnifier's its lens; the tail tip
+    // and source region have their own handles
+    let b = this.getElementBounds(element);
+    if (element.type === 'callout') b = layoutCallout(this.ctx, element).box;
+    else if (element.type === 'magnifier') b = magnifierLens(element);
     ctx.setLineDash([5, 4]);
     ctx.strokeStyle = '#007AFF';
     ctx.lineWidth = Math.max(1, tol * 0.15);
-    ctx.strokeRect(b.x - 4, b.y - 4, b.width + 8, b.height + 8);
+    if (element.type === 'spotlight') {
+      // Each region is adjusted on its own
+      element.regions.forEach(region => {
+        traceRegion(ctx, region);
+        ctx.stroke();
+      });
+    } else {
+      ctx.strokeRect(b.x - 4, b.y - 4, b.width + 8, b.height + 8);
+    }
     ctx.setLineDash([]);
     if (element.type === 'text') {
       drawHandle(ctx, b.x + b.width, b.y + b.height, handle);
+    } else if (element.type === 'box' || element.type === 'ellipse') {
+      boxCorners(element).forEach(corner => drawHandle(ctx, corner.x, corner.y, handle));
+    } else if (element.type === 'step' && element.target) {
+      drawHandle(ctx, element.target.x, element.target.y, handle);
+    } else if (element.type === 'callout') {
+      boxCorners(b).forEach(corner => drawHandle(ctx, corner.x, corner.y, handle));
+      drawHandle(ctx, element.tail.x, element.tail.y, handle);
+    } else if (element.type === 'spotlight') {
+      element.regions.forEach(region => boxCorners(region).forEach(corner => drawHandle(ctx, corner.x, corner.y, handle)));
+    } else if (element.type === 'magnifier') {
+      const { source } = element;
+      drawHandle(ctx, b.x + b.width, b.y + b.height, handle);
+      drawHandle(ctx, source.x + source.width, source.y + source.height, handle);
     }
   }
   ctx.restore();
 }
 
+/**
+ * Outlines each element of a multi-selection (no handles: several elements
+ * can only be moved together), and the rubber band while one is dragged out.
+ */
+export function drawMultiSelectionOverlay(ctx) {
+  const tol = this.getHitTolerance();
+  ctx.save();
+  ctx.setLineDash([5, 4]);
+  ctx.strokeStyle = '#007AFF';
+  ctx.lineWidth = Math.max(1, tol * 0.15);
+  if (this.state.selection.length > 1) {
+    this.state.selection.forEach(element => {
+      const b = this.getElementBounds(element);
+      ctx.strokeRect(b.x - 4, b.y - 4, b.width + 8, b.height + 8);
+    });
+  }
+  const marquee = this.drawingState.marquee;
+  if (marquee) {
+    const band = rectFromCorners(marquee.start, marquee.end);
+    ctx.fillStyle = 'rgba(0, 122, 255, 0.1)';
+    ctx.fillRect(band.x, band.y, band.width, band.height);
+    ctx.strokeRect(band.x, band.y, band.width, band.height);
+  }
+  ctx.restore();
+}
+
 function drawHandle(ctx, x, y, size) {
   ctx.setLineDash([]);
   ctx.beginPath();
@@ -237,9 +1023,10 @@ function drawHandle(ctx, x, y, size) {
 /**
  * Creates a new canvas containing the final composed image (base + elements).
  * Used for saving or copying.
+ * @param {boolean} [framed=true] - Put it in the export frame, if one is set up.
  * @returns {HTMLCanvasElement} A new canvas element with the final image data.
  */
-export function prepareFinalCanvas() {
+export function prepareFinalCanvas(framed = true) {
   const finalCanvas = document.createElement('canvas');
   const finalCtx = finalCanvas.getContext('2d', {
     alpha: true, // Keep alpha for PNG transparency
@@ -253,9 +1040,10 @@ export function prepareFinalCanvas() {
     return finalCanvas;
   }
 
-  // Use the original image dimensions for maximum quality
-  const sourceWidth = this.offscreenCanvas.width;
-  const sourceHeight = this.offscreenCanvas.height;
+  // Use the original image resolution for maximum quality, limited to the crop
+  const crop = this.canvasState.crop || { x: 0, y: 0, width: this.offscreenCanvas.width, height: this.offscreenCanvas.height };
+  const sourceWidth = crop.width;
+  const sourceHeight = crop.height;
   finalCanvas.width = sourceWidth;
   finalCanvas.height = sourceHeight;
 
@@ -267,16 +1055,19 @@ export function prepareFinalCanvas() {
   finalCtx.fillStyle = '#FFFFFF';
   finalCtx.fillRect(0, 0, sourceWidth, sourceHeight);
 
+  // Elements outside the crop are kept in the document but fall off the canvas
+  finalCtx.translate(-crop.x, -crop.y);
+
   // 1. Draw the base image with high quality
   finalCtx.drawImage(this.offscreenCanvas, 0, 0);
 
-  // 2. Draw annotation elements (blackout rects, arrows, text)
-  if (this.elements.annotationElements && this.elements.annotationElements.length > 0) {
-    this.elements.annotationElements.forEach(element => {
-      this.renderElement(finalCtx, element);
-    });
-  }
+  // 2. Draw annotation elements (redactions, spotlight, shapes, arrows, text)
+  this.getRenderOrder().forEach(element => {
+    this.renderElement(finalCtx, element);
+  });
+  finalCtx.setTransform(1, 0, 0, 1, 0, 0);
 
   console.log(`Prepared final canvas at ${sourceWidth}x${sourceHeight} resolution.`);
-  return finalCanvas;
+  // 3. Put it in the frame, if one is set up
+  return framed && this.frame.enabled ? this.applyFrame(finalCanvas) : finalCanvas;
 }
\ No newline at end of file
@@ -0,0 +1,216 @@
+// Aspect ratios offered in the crop options bar (width / height)
+const CROP_ASPECTS = { '1:1': 1, '4:3': 4 / 3, '16:9': 16 / 9 };
+
+// Smallest crop selection kept (image px); anything smaller counts as a click
+const MIN_CROP_SELECTION = 2;
+
+/**
+ * Wires up the crop options bar: aspect ratio (free, 1:1, 4:3, 16:9 or
+ * custom), exact output sizes, and the Crop and Cancel buttons.
+ */
+export function initializeCropOptions() {
+  const sizeSelect = document.getElementById('cropSize');
+  const customWidth = document.getElementById('cropCustomWidth');
+  const customHeight = document.getElementById('cropCustomHeight');
+  const applyButton = document.getElementById('cropApply');
+  const cancelButton = document.getElementById('cropCancel');
+  if (!sizeSelect || !customWidth || !customHeight || !applyButton || !cancelButton) {
+    console.warn("Crop options not found.");
+    return;
+  }
+  customWidth.value = String(this.cropPreset.custom.width);
+  customHeight.value = String(this.cropPreset.custom.height);
+
+  document.querySelectorAll('[data-crop-aspect]').forEach(button => {
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.setCropPreset({ aspect: button.dataset.cropAspect, size: null });
+    });
+  });
+  const setCustom = () => {
+    const width = Number(customWidth.value);
+    const height = Number(customHeight.value);
+    if (width > 0 && height > 0) this.setCropPreset({ aspect: 'custom', size: null, custom: { width, height } });
+  };
+  customWidth.addEventListener('input', setCustom);
+  customHeight.addEventListener('input', setCustom);
+  sizeSelect.addEventListener('change', () => {
+    const [width, height] = sizeSelect.value.split('x').map(Number);
+    this.setCropPreset({ size: sizeSelect.value ? { width, height } : null });
+  });
+  applyButton.addEventListener('click', (event) => {
+    event.stopPropagation();
+    this.confirmCrop();
+  });
+  cancelButton.addEventListener('click', (event) => {
+    event.stopPropagation();
+    this.cancelCrop();
+  });
+}
+
+/**
+ * Reflects the crop constraints in the options bar, shown while cropping.
+ */
+export function updateCropOptions() {
+  const cropOptions = document.getElementById('cropOptions');
+  if (!cropOptions) return;
+  cropOptions.hidden = !this.isToolActive('crop');
+  if (cropOptions.hidden) return;
+  const { aspect, size } = this.cropPreset;
+  cropOptions.querySelectorAll('[data-crop-aspect]').forEach(button => {
+    button.setAttribute('aria-pressed', String(!size && button.dataset.cropAspect === aspect));
+  });
+  document.getElementById('cropCustomField').hidden = Boolean(size) || aspect !== 'custom';
+  document.getElementById('cropSize').value = size ? `${size.width}x${size.height}` : '';
+  document.getElementById('cropApply').disabled = !this.getCropSelection();
+}
+
+/**
+ * Changes the crop constraints and fits the current selection to them
+ * (keeping its center), or, with none yet, selects the largest area that
+ * fits them.
+ * @param {object} changes - Some of aspect, custom and size (see cropPreset).
+ */
+export function setCropPreset(changes) {
+  Object.assign(this.cropPreset, changes);
+  if (this.isToolActive('crop')) {
+    const selection = this.getCropSelection();
+    if (selection || this.getCropAspect() !== null) {
+      this.setCropSelection(this.fitCropRect(selection || this.getViewRect()));
+    }
+    const size = this.cropPreset.size;
+    if (size && (size.width > this.offscreenCanvas.width || size.height > this.offscreenCanvas.height)) {
+      this.showToast(`The image is smaller than ${size.width} × ${size.height}px; the selection keeps its shape.`, false, 'warning');
+    }
+    this.drawCurrentCropSelection();
+  }
+  this.updateToolOptions();
+}
+
+/**
+ * The width / height ratio the crop selection is held to, or null when free.
+ */
+export function getCropAspect() {
+  const { aspect, custom, size } = this.cropPreset;
+  if (size) return size.width / size.height;
+  if (aspect === 'custom') return custom.width / custom.height;
+  return CROP_ASPECTS[aspect] ?? null;
+}
+
+/**
+ * Fits a rectangle to the crop constraints: the exact size (or the largest
+ * box of its shape that fits the image), or the largest box of the aspect
+ * ratio inside the rectangle. Keeps the rectangle's center where possible,
+ * and the result inside the image.
+ */
+export function fitCropRect(rect) {
+  const imageWidth = this.offscreenCanvas.width;
+  const imageHeight = this.offscreenCanvas.height;
+  const aspect = this.getCropAspect();
+  let { width, height } = rect;
+  if (this.cropPreset.size) {
+    ({ width, height } = this.cropPreset.size);
+    const scale = Math.min(1, imageWidth / width, imageHeight / height);
+    width *= scale;
+    height *= scale;
+  } else if (aspect !== null) {
+    if (width / aspect > height) width = height * aspect;
+    else height = width / aspect;
+  }
+  width = Math.max(1, Math.round(width));
+  height = Math.max(1, Math.round(height));
+  const x = Math.round(rect.x + (rect.width - width) / 2);
+  const y = Math.round(rect.y + (rect.height - height) / 2);
+  return {
+    x: Math.max(0, Math.min(x, imageWidth - width)),
+    y: Math.max(0, Math.min(y, imageHeight - height)),
+    width, height
+  };
+}
+
+/**
+ * Where the far corner of a selection dragged from anchor towards pos ends
+ * up, held to the aspect ratio and kept inside the image.
+ */
+export function getConstrainedCropEnd(anchor, pos) {
+  const aspect = this.getCropAspect();
+  if (aspect === null) return pos;
+  const signX = pos.x < anchor.x ? -1 : 1;
+  const signY = pos.y < anchor.y ? -1 : 1;
+  let width = Math.abs(pos.x - anchor.x);
+  let height = Math.abs(pos.y - anchor.y);
+  // The box the pointer's far side outlines, in the ratio
+  if (width / aspect > height) height = width / aspect;
+  else width = height * aspect;
+  const roomX = signX > 0 ? this.offscreenCanvas.width - anchor.x : anchor.x;
+  const roomY = signY > 0 ? this.offscreenCanvas.height - anchor.y : anchor.y;
+  if (width > roomX) {
+    width = roomX;
+    height = width / aspect;
+  }
+  if (height > roomY) {
+    height = roomY;
+    width = height * aspect;
+  }
+  return { x: anchor.x + signX * width, y: anchor.y + signY * height };
+}
+
+/**
+ * Sets the crop selection (image coordinates), or clears it with null.
+ */
+export function setCropSelection(rect) {
+  this.drawingState.cropStart = rect ? { x: rect.x, y: rect.y } : null;
+  this.drawingState.cropEnd = rect ? { x: rect.x + rect.width, y: rect.y + rect.height } : null;
+}
+
+/**
+ * Draws the crop selection's guides, or the plain image when nothing is selected.
+ */
+export function drawCurrentCropSelection() {
+  const selection = this.getCropSelection();
+  if (selection) this.drawCropGuides(selection.x, selection.y, selection.width, selection.height);
+  else this.redrawCanvas();
+}
+
+/**
+ * Ends a drag of the crop selection, leaving it selected (in whole pixels)
+ * until the crop is confirmed or cancelled. A click without a drag clears it.
+ */
+export function finishCropSelection() {
+  this.drawingState.cropDrag = null;
+  const selection = this.getCropSelection();
+  if (selection && selection.width >= MIN_CROP_SELECTION && selection.height >= MIN_CROP_SELECTION) {
+    const x = Math.round(selection.x);
+    const y = Math.round(selection.y);
+    // Moving keeps an exact size exact
+    const width = this.cropPreset.size ? Math.round(selection.width) : Math.round(selection.x + selection.width) - x;
+    const height = this.cropPreset.size ? Math.round(selection.height) : Math.round(selection.y + selection.height) - y;
+    this.setCropSelection({ x, y, width, height });
+  } else {
+    this.setCropSelection(null);
+  }
+  this.drawCurrentCropSelection();
+  this.updateToolOptions();
+}
+
+/**
+ * Crops to the selection (Enter or the Crop button).
+ */
+export function confirmCrop() {
+  if (!this.isToolActive('crop')) return;
+  if (!this.getCropSelection()) {
+    this.showToast("Drag to select the area to crop first.", false, 'info');
+    return;
+  }
+  this.completeCrop();
+}
+
+/**
+ * Leaves the crop tool without changing the crop (Escape or the Cancel button).
+ */
+export function cancelCrop() {
+  if (!this.isToolActive('crop')) return;
+  this.state.isDrawing = false;
+  this.toggleTool('crop');
+  this.showToast("Crop cancelled.", false, 'info');
+}
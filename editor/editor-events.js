@@ -1,5 +1,6 @@
-// Import the throttle utility
-import { throttle } from './editor-utils.js';
+// Import the throttle and geometry utilities
+import { throttle, rectFromCorners, snapToAngle } from './editor-utils.js';
+import { TEXT_LINE_HEIGHT } from './editor-canvas.js';
 
 /**
  * Sets up the primary event listeners for the canvas.
@@ -14,16 +15,30 @@ export function setupEventListeners() {
   this.boundHandleMouseMove = this.handleMouseMove.bind(this);
   this.boundHandleMouseUp = this.handleMouseUp.bind(this);
   this.boundHandleMouseLeave = this.handleMouseLeave.bind(this);
+  this.boundHandleDoubleClick = this.handleDoubleClick.bind(this);
   this.boundHandleKeyDown = this.handleKeyDown.bind(this);
   this.boundHandleDocumentMouseDown = this.handleDocumentMouseDown.bind(this);
+  this.boundHandleKeyUp = this.handleKeyUp.bind(this);
+  this.boundHandleWindowBlur = this.handleWindowBlur.bind(this);
+  this.boundHandleWheel = this.handleWheel.bind(this);
+  this.boundHandleCopy = this.handleCopy.bind(this);
+  this.boundHandlePaste = this.handlePaste.bind(this);
 
   // Canvas Listeners
   this.canvas.addEventListener('mousedown', this.boundHandleMouseDown);
   this.canvas.addEventListener('mousemove', this.boundHandleMouseMove);
   this.canvas.addEventListener('mouseup', this.boundHandleMouseUp);
   this.canvas.addEventListener('mouseleave', this.boundHandleMouseLeave);
+  this.canvas.addEventListener('dblclick', this.boundHandleDoubleClick);
   document.addEventListener('keydown', this.boundHandleKeyDown);
+  document.addEventListener('keyup', this.boundHandleKeyUp);
+  // Space may be released in another window, so its keyup never arrives
+  window.addEventListener('blur', this.boundHandleWindowBlur);
+  // Not passive: Ctrl+wheel (and trackpad pinch) zooms instead of zooming the page
+  document.getElementById('editorContainer')?.addEventListener('wheel', this.boundHandleWheel, { passive: false });
   document.addEventListener('mousedown', this.boundHandleDocumentMouseDown);
+  document.addEventListener('copy', this.boundHandleCopy);
+  document.addEventListener('paste', this.boundHandlePaste);
 }
 
 /**
@@ -36,13 +51,21 @@ export function removeEditorEventListeners() {
     this.canvas.removeEventListener('mousemove', this.boundHandleMouseMove);
     this.canvas.removeEventListener('mouseup', this.boundHandleMouseUp);
     this.canvas.removeEventListener('mouseleave', this.boundHandleMouseLeave);
+    this.canvas.removeEventListener('dblclick', this.boundHandleDoubleClick);
   }
   if (this.boundHandleKeyDown) {
     document.removeEventListener('keydown', this.boundHandleKeyDown);
+    document.removeEventListener('keyup', this.boundHandleKeyUp);
+    window.removeEventListener('blur', this.boundHandleWindowBlur);
+    document.getElementById('editorContainer')?.removeEventListener('wheel', this.boundHandleWheel);
   }
   if (this.boundHandleDocumentMouseDown) {
     document.removeEventListener('mousedown', this.boundHandleDocumentMouseDown);
   }
+  if (this.boundHandleCopy) {
+    document.removeEventListener('copy', this.boundHandleCopy);
+    document.removeEventListener('paste', this.boundHandlePaste);
+  }
 }
 
 /**
@@ -52,35 +75,195 @@ export function removeEditorEventListeners() {
 export function handleDocumentMouseDown(e) {
   if (!this.canvas || e.target === this.canvas) return;
   if (e.target.closest && e.target.closest('.canvas-text-input')) return;
-  if (this.state.selected || this.state.dragging) {
-    this.state.selected = null;
+  // Text options may hold focus while the text is typed; anywhere else commits it
+  if (this.activeTextInput && !(e.target.closest && e.target.closest('#textOptions'))) this.commitTextInput();
+  // The style panel and tool options restyle the selection, so keep it (and
+  // while zooming in on it)
+  if (e.target.closest && e.target.closest('.style-panel, #styleTool, #transformTool, #frameTool, .tool-options, .zoom-controls, dialog')) return;
+  this.closeStylePanel();
+  this.closeTransformPanel();
+  this.closeFramePanel();
+  if (this.state.selection.length || this.state.dragging) {
+    this.clearSelection();
     this.state.dragging = null;
     this.redrawCanvas();
   }
 }
 
 /**
- * Handles keyboard shortcuts: Delete/Backspace removes the selected element,
- * Escape deselects. Ignored while the inline text input is open.
+ * Ctrl/Cmd+C copies the selected annotations to the clipboard as JSON, so
+ * they can be pasted here or in another editor tab. Text fields keep their
+ * normal copy.
+ */
+export function handleCopy(e) {
+  if (this.activeTextInput || isTextField(e.target)) return;
+  const json = this.copySelection();
+  if (!json) return;
+  e.preventDefault();
+  e.clipboardData.setData('text/plain', json);
+  const count = this.state.selection.length;
+  this.showToast(count === 1 ? 'Annotation copied' : `${count} annotations copied`, false, 'info');
+}
+
+/**
+ * Ctrl/Cmd+V pastes annotations copied from an editor tab; any other
+ * clipboard contents are left alone.
+ */
+export function handlePaste(e) {
+  if (this.activeTextInput || isTextField(e.target)) return;
+  const text = e.clipboardData.getData('text/plain');
+  if (text && this.pasteClipboardText(text)) e.preventDefault();
+}
+
+/**
+ * Releasing Space ends panning mode.
+ */
+export function handleKeyUp(e) {
+  if (e.code !== 'Space' || !this.viewport.spaceHeld) return;
+  this.viewport.spaceHeld = false;
+  if (!this.viewport.pan && this.canvas) this.canvas.style.cursor = 'default';
+}
+
+/**
+ * Leaving the window ends panning mode, as Space's release can't be seen.
+ */
+export function handleWindowBlur() {
+  if (!this.viewport.spaceHeld) return;
+  this.viewport.spaceHeld = false;
+  if (!this.viewport.pan && this.canvas) this.canvas.style.cursor = 'default';
+}
+
+// Whether Space is meant for the image (to pan it): it has focus or the
+// pointer is over it. Elsewhere a focused button or field keeps Space.
+function isPanKeyTarget(target) {
+  if (target.closest && target.closest('#editorContainer')) return true;
+  const container = document.getElementById('editorContainer');
+  return Boolean(container && container.matches(':hover')) && !isTextField(target);
+}
+
+/**
+ * Ctrl/Cmd+wheel (and trackpad pinch, which Chrome reports the same way)
+ * zooms around the cursor. The plain wheel scrolls the zoomed image.
+ */
+export function handleWheel(e) {
+  if (!e.ctrlKey && !e.metaKey) return;
+  e.preventDefault();
+  this.setZoom(this.getZoom() * Math.exp(-e.deltaY * 0.002), { x: e.clientX, y: e.clientY });
+}
+
+// Whether keys and clipboard events belong to a form field rather than the canvas
+function isTextField(target) {
+  return Boolean(target.closest && target.closest('input, textarea, select'));
+}
+
+// Whether typing goes into the target, which then has its own undo (sliders
+// and checkboxes don't, so undo there still applies to the image)
+function isTypingField(target) {
+  return Boolean(target.closest && target.closest('textarea, input:not([type="range"], [type="checkbox"], [type="color"])'));
+}
+
+/**
+ * Handles keyboard shortcuts: Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z (or
+ * Ctrl/Cmd+Y) redoes, Ctrl/Cmd+A selects all annotations, Ctrl/Cmd+D
+ * duplicates the selection, Ctrl/Cmd+G groups it (with Shift, ungroups),
+ * Ctrl/Cmd+] and Ctrl/Cmd+[ bring it to the front or send it to the back,
+ * Ctrl/Cmd+' toggles snap-to-grid, Ctrl/Cmd+= / - / 0 zoom in, out and to
+ * fit, holding Space lets the image be dragged to pan it, the arrow keys
+ * nudge the selection by 1px (10px with Shift), Delete/Backspace removes it,
+ * [ and ] move a selected step badge earlier/later in the sequence, Escape
+ * deselects and closes the style panel, and while cropping Enter crops to
+ * the selection and Escape cancels.
+ * Ignored while the inline text input or a dialog is open, and undo is left
+ * to the field being typed in.
  */
 export function handleKeyDown(e) {
   if (this.activeTextInput) return; // The input's own handlers manage keys
-  if (!this.state.selected) return;
+  // A modal dialog handles its own keys; the image behind it stays as it is
+  if (e.target.closest && e.target.closest('dialog')) return;
+  const key = e.key.toLowerCase();
+  if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y') && !isTypingField(e.target)) {
+    e.preventDefault();
+    if (key === 'z' && !e.shiftKey) this.undo();
+    else this.redo();
+    return;
+  }
+  if (e.key === 'Escape') {
+    this.closeStylePanel();
+    this.closeTransformPanel();
+    this.closeFramePanel();
+  }
+  // Sliders use the arrow keys, dialog fields Backspace
+  if (e.target.closest && e.target.closest('.style-panel, dialog')) return;
+  if (this.isToolActive('crop') && !isTextField(e.target) && (e.key === 'Enter' || e.key === 'Escape')) {
+    e.preventDefault();
+    if (e.key === 'Enter') this.confirmCrop();
+    else this.cancelCrop();
+    return;
+  }
+  if (e.code === 'Space' && isPanKeyTarget(e.target)) {
+    e.preventDefault(); // Rather than scrolling the page
+    if (!this.viewport.spaceHeld) {
+      this.viewport.spaceHeld = true;
+      if (!this.state.isDrawing && !this.state.dragging) this.canvas.style.cursor = 'grab';
+    }
+    return;
+  }
+  if ((e.ctrlKey || e.metaKey) && !isTextField(e.target)) {
+    // Instead of zooming the whole page
+    if (key === '=' || key === '+' || key === '-' || key === '0') {
+      e.preventDefault();
+      if (key === '0') this.setZoom(null);
+      else this.stepZoom(key === '-' ? -1 : 1);
+      return;
+    }
+    if (key === 'a') {
+      e.preventDefault();
+      this.setSelection(this.elements.annotationElements);
+      this.redrawCanvas();
+      return;
+    }
+    if (key === "'") {
+      e.preventDefault();
+      this.toggleSnapGrid();
+      return;
+    }
+    if (this.state.selection.length === 0) return;
+    if (key === 'd') {
+      e.preventDefault();
+      this.duplicateSelection();
+    } else if (key === 'g') {
+      e.preventDefault();
+      if (e.shiftKey) this.ungroupSelection();
+      else this.groupSelection();
+    } else if (e.code === 'BracketRight' || e.code === 'BracketLeft') {
+      e.preventDefault();
+      this.arrangeSelection(e.code === 'BracketRight');
+    }
+    return;
+  }
+  if (this.state.selection.length === 0) return;
+  const nudges = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+  if (nudges[e.key] && !isTextField(e.target)) {
+    e.preventDefault();
+    const step = e.shiftKey ? 10 : 1;
+    this.nudgeSelection(nudges[e.key][0] * step, nudges[e.key][1] * step, !e.repeat);
+    return;
+  }
   if (e.key === 'Delete' || e.key === 'Backspace') {
     e.preventDefault();
-    const index = this.elements.annotationElements.indexOf(this.state.selected);
-    if (index !== -1) this.elements.annotationElements.splice(index, 1);
-    this.state.selected = null;
-    this.redrawCanvas();
-    this.showToast('Element deleted', false, 'info');
+    this.deleteSelection();
+  } else if ((e.key === '[' || e.key === ']') && this.state.selected && this.state.selected.type === 'step') {
+    e.preventDefault();
+    this.moveStep(this.state.selected, e.key === '[' ? -1 : 1);
   } else if (e.key === 'Escape') {
-    this.state.selected = null;
+    this.clearSelection();
     this.redrawCanvas();
   }
 }
 
 /**
- * Calculates the mouse position relative to the canvas, considering scaling.
+ * Calculates the mouse position in image coordinates, considering scaling and
+ * the crop offset, clamped to the visible part of the image.
  */
 export function getMousePos(e) {
   if (!this.ui.canvasRect) {
@@ -97,7 +280,8 @@ export function getMousePos(e) {
   const canvasY = (e.clientY - rect.top) * scaleY;
   const clampedX = Math.max(0, Math.min(canvasX, this.canvas.width));
   const clampedY = Math.max(0, Math.min(canvasY, this.canvas.height));
-  return { x: clampedX, y: clampedY };
+  const view = this.getViewRect();
+  return { x: clampedX + view.x, y: clampedY + view.y };
 }
 
 /**
@@ -105,6 +289,11 @@ export function getMousePos(e) {
  */
 export function handleMouseDown(e) {
   e.preventDefault();
+  // Space+drag or the middle button pans the image
+  if (e.button === 1 || (e.button === 0 && this.viewport.spaceHeld)) {
+    this.startPan(e);
+    return;
+  }
   if (e.button !== 0) return; // Only left clicks
 
   const pos = this.getMousePos(e);
@@ -121,10 +310,23 @@ export function handleMouseDown(e) {
   // Crop and blackout take full priority while active
   if (this.isToolActive('crop')) {
     this.state.isDrawing = true;
-    this.drawingState.cropStart = pos;
-    this.drawingState.cropEnd = pos;
-    if (this.canvas) {
-      this.canvas.style.cursor = 'crosshair';
+    // Grabbing the current selection adjusts it; anywhere else starts a new one
+    const handle = this.hitTestCropHandle(pos);
+    if (handle) {
+      this.drawingState.cropDrag = { handle, startPos: pos, origin: this.getCropSelection() };
+    } else if (this.cropPreset.size) {
+      // An exact-size selection jumps to where it's clicked and is dragged from there
+      const { width, height } = this.fitCropRect({ x: 0, y: 0, width: 1, height: 1 });
+      this.setCropSelection(this.fitCropRect({ x: pos.x - width / 2, y: pos.y - height / 2, width, height }));
+      this.drawingState.cropDrag = { handle: 'move', startPos: pos, origin: this.getCropSelection() };
+      this.drawCurrentCropSelection();
+    } else {
+      this.drawingState.cropDrag = null;
+      this.drawingState.cropStart = pos;
+      this.drawingState.cropEnd = pos;
+      if (this.canvas) {
+        this.canvas.style.cursor = 'crosshair';
+      }
     }
     return;
   }
@@ -138,61 +340,169 @@ export function handleMouseDown(e) {
 
   // Clicking directly on an existing arrow or text selects it — whether a
   // drawing tool is active or not. Drawing only starts on empty space.
+  // Shift+click adds it to (or removes it from) the selection.
   const hit = this.hitTestElement(pos);
+  if (hit && e.shiftKey) {
+    this.toggleSelection(hit.element);
+    this.redrawCanvas();
+    return;
+  }
   if (hit) {
-    this.state.selected = hit.element;
+    if (!this.state.selection.includes(hit.element)) this.setSelection([hit.element]);
+    // Grabbing any part of a multi-selection (or group) moves all of it
+    const selection = this.state.selection;
     this.state.dragging = {
-      part: hit.part,
+      part: selection.length > 1 ? 'body' : hit.part,
+      index: hit.index,  // Spotlight region, if one was grabbed
       startPos: pos,
-      original: { ...hit.element }
+      original: structuredClone(hit.element),
+      originals: selection.length > 1 ? new Map(selection.map(el => [el, structuredClone(el)])) : null,
+      before: this.createHistorySnapshot() // Recorded as an undo step if the drag changes anything
     };
     this.redrawCanvas();
     return;
   }
 
-  // Empty space: clear any selection, then let the active tool draw
-  if (this.state.selected) {
-    this.state.selected = null;
+  // Without a tool, dragging over empty space selects with a rubber band
+  // (Shift adds to the selection)
+  if (this.state.activeTools.size === 0) {
+    this.state.isDrawing = true;
+    this.drawingState.marquee = { start: pos, end: pos, base: e.shiftKey ? this.state.selection : [] };
+    this.updateMarqueeSelection();
     this.redrawCanvas();
+    return;
   }
 
+  // Empty space: clear any selection, then let the active tool draw
+  if (this.clearSelection()) this.redrawCanvas();
+
   if (this.isToolActive('arrow')) {
     this.state.isDrawing = true;
     this.drawingState.arrowStart = pos;
     return;
   }
 
+  if (this.isToolActive('shape')) {
+    this.state.isDrawing = true;
+    this.drawingState.shapeStart = pos;
+    return;
+  }
+
+  if (this.isToolActive('draw')) {
+    this.state.isDrawing = true;
+    this.drawingState.stroke = this.createStrokeElement(pos);
+    return;
+  }
+
+  if (this.isToolActive('step')) {
+    this.state.isDrawing = true;
+    this.drawingState.stepStart = pos;
+    this.redrawCanvas(this.createStepElement(pos, pos));
+    return;
+  }
+
+  if (this.isToolActive('callout')) {
+    this.state.isDrawing = true;
+    this.drawingState.calloutStart = pos;
+    return;
+  }
+
+  if (this.isToolActive('magnify')) {
+    this.state.isDrawing = true;
+    this.drawingState.magnifyStart = pos;
+    return;
+  }
+
+  if (this.isToolActive('spotlight')) {
+    this.state.isDrawing = true;
+    this.drawingState.spotlightStart = pos;
+    return;
+  }
+
   if (this.isToolActive('text')) {
     this.openTextInput(pos);
   }
 }
 
+/**
+ * Double-clicking a text element or callout re-opens its text in the inline editor.
+ */
+export function handleDoubleClick(e) {
+  const hit = this.hitTestElement(this.getMousePos(e));
+  if (!hit || (hit.element.type !== 'text' && hit.element.type !== 'callout')) return;
+  e.preventDefault();
+  this.clearSelection();
+  this.state.dragging = null;
+  this.openTextInput(null, hit.element);
+}
+
 /**
  * Handles the mouse move event on the canvas.
  */
 export function handleMouseMove(e) {
+  if (this.viewport.pan) return; // Panning scrolls the container instead
   const pos = this.getMousePos(e);
 
   // Move / resize a selected element
   if (this.state.dragging) {
     const drag = this.state.dragging;
     const el = this.state.selected;
-    const dx = pos.x - drag.startPos.x;
-    const dy = pos.y - drag.startPos.y;
-    if (drag.part === 'p1') {
-      el.x1 = pos.x; el.y1 = pos.y;
+    let dx = pos.x - drag.startPos.x;
+    let dy = pos.y - drag.startPos.y;
+    drag.moved = true;
+    // Moves snap into line with other elements or the grid (Alt moves freely)
+    if (drag.originals || (drag.part === 'body' && el.type !== 'spotlight')) {
+      ({ dx, dy } = this.snapMove(drag, dx, dy, e.altKey));
+    }
+    if (drag.originals) {
+      // Several elements move together, magnifiers with their source region
+      drag.originals.forEach((original, element) => this.translateElement(element, original, dx, dy, true));
+    } else if (el.type === 'spotlight') {
+      // Move the grabbed region, or resize it from the opposite corner
+      const o = drag.original.regions[drag.index];
+      if (drag.part === 'body') {
+        el.regions[drag.index] = { ...o, x: o.x + dx, y: o.y + dy };
+      } else {
+        const anchor = {
+          x: drag.part.includes('w') ? o.x + o.width : o.x,
+          y: drag.part.includes('n') ? o.y + o.height : o.y
+        };
+        el.regions[drag.index] = { ...o, ...rectFromCorners(anchor, pos, e.shiftKey) };
+      }
+    } else if (drag.part === 'p1') {
+      // Shift keeps the line at a multiple of 45°
+      const end = e.shiftKey ? snapToAngle({ x: el.x2, y: el.y2 }, pos) : pos;
+      el.x1 = end.x; el.y1 = end.y;
     } else if (drag.part === 'p2') {
-      el.x2 = pos.x; el.y2 = pos.y;
+      const end = e.shiftKey ? snapToAngle({ x: el.x1, y: el.y1 }, pos) : pos;
+      el.x2 = end.x; el.y2 = end.y;
     } else if (drag.part === 'resize') {
-      el.fontSize = Math.max(10, Math.round((pos.y - el.y) / 1.2));
+      const lineCount = el.text.split('\n').length;
+      el.fontSize = Math.max(10, Math.round((pos.y - el.y) / (TEXT_LINE_HEIGHT * lineCount)));
+    } else if (drag.part === 'target') {
+      el.target = { x: pos.x, y: pos.y };
+    } else if (drag.part === 'tail') {
+      el.tail = { x: pos.x, y: pos.y };
+    } else if (drag.part === 'source') {
+      el.source = { ...drag.original.source, x: drag.original.source.x + dx, y: drag.original.source.y + dy };
+    } else if (drag.part === 'source-resize') {
+      const { x, y } = drag.original.source;
+      const source = rectFromCorners({ x, y }, pos, el.shape === 'circle');
+      el.source = { x, y, width: Math.max(4, source.width), height: Math.max(4, source.height) };
+    } else if (drag.part === 'zoom') {
+      // Dragging the lens corner out or in zooms between 2x and 4x
+      const { source } = drag.original;
+      const zoom = Math.max((pos.x - el.x) / (source.width / 2), (pos.y - el.y) / (source.height / 2));
+      el.zoom = Math.min(4, Math.max(2, Math.round(zoom * 4) / 4));
+    } else if (drag.part !== 'body') { // Box/ellipse/callout corner; the opposite corner stays put
+      const o = drag.original;
+      const anchor = {
+        x: drag.part.includes('w') ? o.x + o.width : o.x,
+        y: drag.part.includes('n') ? o.y + o.height : o.y
+      };
+      Object.assign(el, rectFromCorners(anchor, pos, e.shiftKey));
     } else { // move
-      if (el.type === 'arrow') {
-        el.x1 = drag.original.x1 + dx; el.y1 = drag.original.y1 + dy;
-        el.x2 = drag.original.x2 + dx; el.y2 = drag.original.y2 + dy;
-      } else {
-        el.x = drag.original.x + dx;
-        el.y = drag.original.y + dy;
-      }
+      this.translateElement(el, drag.original, dx, dy);
     }
     requestAnimationFrame(() => { if (this.state.dragging) this.redrawCanvas(); });
     return;
@@ -201,56 +511,124 @@ export function handleMouseMove(e) {
   // Update cursor based on active tools / hovered elements
   if (!this.state.isDrawing) {
     let cursor = 'default';
-    if (this.isToolActive('crop') || this.isToolActive('annotate') || this.isToolActive('arrow')) {
+    if (['crop', 'annotate', 'arrow', 'shape', 'draw', 'step', 'callout', 'magnify', 'spotlight'].some(tool => this.isToolActive(tool))) {
       cursor = 'crosshair';
     } else if (this.isToolActive('text')) {
       cursor = 'text';
     }
+    // Crop selection handles show which way they resize
+    if (this.isToolActive('crop')) {
+      const handle = this.hitTestCropHandle(pos);
+      if (handle) cursor = handle === 'move' ? 'move' : `${handle}-resize`;
+    }
     // Hovering an existing arrow/text shows move/resize affordances
     // (except while crop or blackout is active — those own the canvas)
     if (!this.isToolActive('crop') && !this.isToolActive('annotate')) {
       const hit = this.hitTestElement(pos);
       if (hit) {
-        cursor = hit.part === 'body' ? 'move' : (hit.part === 'resize' ? 'nwse-resize' : 'pointer');
+        const cursors = {
+          body: 'move', source: 'move', resize: 'nwse-resize', zoom: 'nwse-resize', 'source-resize': 'nwse-resize',
+          nw: 'nwse-resize', se: 'nwse-resize', ne: 'nesw-resize', sw: 'nesw-resize'
+        };
+        cursor = cursors[hit.part] || 'pointer';
       }
     }
+    if (this.viewport.spaceHeld) cursor = 'grab';
     if (this.canvas) this.canvas.style.cursor = cursor;
   }
 
   // Handle tool drawing previews
   if (!this.state.isDrawing) return;
 
+  // 0. Rubber band selection
+  if (this.drawingState.marquee) {
+    this.drawingState.marquee.end = pos;
+    this.updateMarqueeSelection();
+    requestAnimationFrame(() => { if (this.drawingState.marquee) this.redrawCanvas(); });
+    return;
+  }
+
   // 1. Crop Preview
   if (this.isToolActive('crop') && this.drawingState.cropStart) {
-    this.drawingState.cropEnd = pos;
+    if (this.drawingState.cropDrag) {
+      this.adjustCropSelection(pos);
+    } else {
+      this.drawingState.cropEnd = this.getConstrainedCropEnd(this.drawingState.cropStart, pos);
+    }
     this.throttledDrawCropGuides(this.drawingState.cropStart, this.drawingState.cropEnd);
   }
   // 2. Arrow Preview
   else if (this.isToolActive('arrow') && this.drawingState.arrowStart) {
     requestAnimationFrame(() => {
       if (!this.state.isDrawing || !this.drawingState.arrowStart) return;
-      this.redrawCanvas();
-      this.renderElement(this.ctx, {
+      const start = this.drawingState.arrowStart;
+      const end = e.shiftKey ? snapToAngle(start, pos) : pos;
+      this.redrawCanvas({
         type: 'arrow',
-        x1: this.drawingState.arrowStart.x, y1: this.drawingState.arrowStart.y,
-        x2: pos.x, y2: pos.y,
-        color: '#FF3B30', width: this.defaultArrowWidth()
+        x1: start.x, y1: start.y,
+        x2: end.x, y2: end.y,
+        color: this.annotationStyle.color, width: this.currentStrokeWidth(),
+        opacity: this.annotationStyle.opacity
       });
     });
   }
-  // 3. Annotate Preview
+  // 3. Shape Preview
+  else if (this.isToolActive('shape') && this.drawingState.shapeStart) {
+    requestAnimationFrame(() => {
+      if (!this.state.isDrawing || !this.drawingState.shapeStart) return;
+      this.redrawCanvas(this.createShapeElement(this.drawingState.shapeStart, pos, e.shiftKey));
+    });
+  }
+  // 4. Freehand Preview
+  else if (this.isToolActive('draw') && this.drawingState.stroke) {
+    this.addStrokePoint(this.drawingState.stroke, pos);
+    requestAnimationFrame(() => {
+      if (!this.state.isDrawing || !this.drawingState.stroke) return;
+      this.redrawCanvas(this.drawingState.stroke);
+    });
+  }
+  // 5. Step Badge Preview (dragging away from the badge adds a leader)
+  else if (this.isToolActive('step') && this.drawingState.stepStart) {
+    requestAnimationFrame(() => {
+      if (!this.state.isDrawing || !this.drawingState.stepStart) return;
+      this.redrawCanvas(this.createStepElement(this.drawingState.stepStart, pos));
+    });
+  }
+  // 6. Callout Preview
+  else if (this.isToolActive('callout') && this.drawingState.calloutStart) {
+    requestAnimationFrame(() => {
+      if (!this.state.isDrawing || !this.drawingState.calloutStart) return;
+      this.redrawCanvas(this.createCalloutElement(this.drawingState.calloutStart, pos));
+    });
+  }
+  // 7. Magnifier Preview (the dragged rectangle is the region to zoom into)
+  else if (this.isToolActive('magnify') && this.drawingState.magnifyStart) {
+    requestAnimationFrame(() => {
+      if (!this.state.isDrawing || !this.drawingState.magnifyStart) return;
+      this.redrawCanvas(this.createMagnifierElement(this.drawingState.magnifyStart, pos));
+    });
+  }
+  // 8. Spotlight Preview (the new region lights up as it's dragged out)
+  else if (this.isToolActive('spotlight') && this.drawingState.spotlightStart) {
+    this.drawingState.spotlightRegion = this.createSpotlightRegion(this.drawingState.spotlightStart, pos, e.shiftKey);
+    requestAnimationFrame(() => {
+      if (!this.state.isDrawing || !this.drawingState.spotlightRegion) return;
+      // Without a spotlight yet, preview a new one holding just this region
+      this.redrawCanvas(this.getSpotlight() ? null : this.createSpotlightElement(this.drawingState.spotlightRegion));
+    });
+  }
+  // 9. Annotate Preview
   else if (this.isToolActive('annotate') && this.drawingState.annotateStart) {
     requestAnimationFrame(() => {
       if (!this.state.isDrawing || !this.isToolActive('annotate') || !this.drawingState.annotateStart) return;
-      this.restoreCanvasState();
       const startX = Math.min(this.drawingState.annotateStart.x, pos.x);
       const startY = Math.min(this.drawingState.annotateStart.y, pos.y);
       const width = Math.abs(pos.x - this.drawingState.annotateStart.x);
       const height = Math.abs(pos.y - this.drawingState.annotateStart.y);
-      if (width > 0 && height > 0) {
-        this.ctx.fillStyle = '#000000';
-        this.ctx.fillRect(startX, startY, width, height);
-      }
+      this.redrawCanvas(width > 0 && height > 0 ? {
+        type: 'rect', x: startX, y: startY, width, height,
+        color: '#000000', mode: this.redaction.mode, size: this.redaction.size
+      } : null);
     });
   }
 }
@@ -263,13 +641,25 @@ export function handleMouseUp(e) {
 
   // Finish moving/resizing a selection
   if (this.state.dragging) {
+    if (this.state.dragging.moved) this.pushHistory(this.state.dragging.before);
     this.state.dragging = null;
+    this.snapping.guides = [];
     this.redrawCanvas();
+    this.updateSelectionOptions(); // Dragging a magnifier's corner changes its zoom
+    this.updateSensitiveControls();
     return;
   }
 
   const wasDrawingTool = this.state.isDrawing;
 
+  // Finish a rubber band selection (it selects as it's dragged)
+  if (this.drawingState.marquee) {
+    this.state.isDrawing = false;
+    this.drawingState.marquee = null;
+    this.redrawCanvas();
+    return;
+  }
+
   // Finalize tool drawing
   if (wasDrawingTool) {
     const pos = this.getMousePos(e);
@@ -279,25 +669,83 @@ export function handleMouseUp(e) {
     if (this.isToolActive('crop') && this.drawingState.cropStart) activeToolName = 'crop';
     else if (this.isToolActive('annotate') && this.drawingState.annotateStart) activeToolName = 'annotate';
     else if (this.isToolActive('arrow') && this.drawingState.arrowStart) activeToolName = 'arrow';
+    else if (this.isToolActive('shape') && this.drawingState.shapeStart) activeToolName = 'shape';
+    else if (this.isToolActive('draw') && this.drawingState.stroke) activeToolName = 'draw';
+    else if (this.isToolActive('step') && this.drawingState.stepStart) activeToolName = 'step';
+    else if (this.isToolActive('callout') && this.drawingState.calloutStart) activeToolName = 'callout';
+    else if (this.isToolActive('magnify') && this.drawingState.magnifyStart) activeToolName = 'magnify';
+    else if (this.isToolActive('spotlight') && this.drawingState.spotlightStart) activeToolName = 'spotlight';
 
     // Finalize based on the active tool
     if (activeToolName === 'crop') {
-      this.drawingState.cropEnd = pos;
-      this.completeCrop();
+      if (this.drawingState.cropDrag) {
+        this.adjustCropSelection(pos);
+      } else {
+        this.drawingState.cropEnd = this.getConstrainedCropEnd(this.drawingState.cropStart, pos);
+      }
+      // Stays adjustable until confirmed with Enter or the Crop button
+      this.finishCropSelection();
     } else if (activeToolName === 'arrow') {
       const start = this.drawingState.arrowStart;
-      if (Math.hypot(pos.x - start.x, pos.y - start.y) > 10) {
+      const end = e.shiftKey ? snapToAngle(start, pos) : pos;
+      if (Math.hypot(end.x - start.x, end.y - start.y) > 10) {
         const newArrow = {
           type: 'arrow',
           id: `arrow-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
-          x1: start.x, y1: start.y, x2: pos.x, y2: pos.y,
-          color: '#FF3B30', width: this.defaultArrowWidth()
+          x1: start.x, y1: start.y, x2: end.x, y2: end.y,
+          color: this.annotationStyle.color, width: this.currentStrokeWidth(),
+          opacity: this.annotationStyle.opacity
         };
+        this.pushHistory();
         this.elements.annotationElements.push(newArrow);
         this.showToast('Arrow added', false, 'success');
       }
       this.drawingState.arrowStart = null;
       this.redrawCanvas();
+    } else if (activeToolName === 'shape') {
+      const shape = this.createShapeElement(this.drawingState.shapeStart, pos, e.shiftKey);
+      const bounds = this.getElementBounds(shape);
+      if (Math.hypot(bounds.width, bounds.height) > 10) {
+        shape.id = `shape-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+        this.pushHistory();
+        this.elements.annotationElements.push(shape);
+        this.showToast('Shape added', false, 'success');
+      }
+      this.drawingState.shapeStart = null;
+      this.redrawCanvas();
+    } else if (activeToolName === 'draw') {
+      this.addStrokePoint(this.drawingState.stroke, pos);
+      this.finishStroke();
+    } else if (activeToolName === 'step') {
+      const step = this.createStepElement(this.drawingState.stepStart, pos);
+      step.id = `step-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+      this.pushHistory();
+      this.elements.annotationElements.push(step);
+      this.drawingState.stepStart = null;
+      this.redrawCanvas();
+      this.showToast(`Step ${this.getStepNumber(step)} added`, false, 'success');
+    } else if (activeToolName === 'callout') {
+      // Added once its text is typed (one undo step); left empty, it's dropped
+      const callout = this.createCalloutElement(this.drawingState.calloutStart, pos);
+      callout.id = `callout-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+      const before = this.createHistorySnapshot();
+      this.elements.annotationElements.push(callout);
+      this.drawingState.calloutStart = null;
+      this.openTextInput(null, callout, before);
+    } else if (activeToolName === 'magnify') {
+      const magnifier = this.createMagnifierElement(this.drawingState.magnifyStart, pos);
+      magnifier.id = `magnifier-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+      this.pushHistory();
+      this.elements.annotationElements.push(magnifier);
+      this.drawingState.magnifyStart = null;
+      this.redrawCanvas();
+      this.showToast('Magnifier added — drag the lens to place it', false, 'success');
+    } else if (activeToolName === 'spotlight') {
+      const region = this.createSpotlightRegion(this.drawingState.spotlightStart, pos, e.shiftKey);
+      this.drawingState.spotlightStart = null;
+      this.drawingState.spotlightRegion = null;
+      if (region.width > 4 && region.height > 4) this.addSpotlightRegion(region);
+      this.redrawCanvas();
     } else if (activeToolName === 'annotate') {
       const startX = Math.min(this.drawingState.annotateStart.x, pos.x);
       const startY = Math.min(this.drawingState.annotateStart.y, pos.y);
@@ -307,11 +755,14 @@ export function handleMouseUp(e) {
         const newAnnotation = {
           type: 'rect',
           id: `anno-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
-          x: startX, y: startY, width: width, height: height, color: '#000000' 
+          x: startX, y: startY, width: width, height: height, color: '#000000',
+          mode: this.redaction.mode, size: this.redaction.size
         };
+        this.pushHistory();
         this.elements.annotationElements.push(newAnnotation);
         this.redrawCanvas();
-        this.showToast("Annotation added", false, 'success');
+        this.updateSensitiveControls();
+        this.showToast("Redaction added", false, 'success');
       } else {
         this.restoreCanvasState();
       }
@@ -332,7 +783,19 @@ export function handleMouseUp(e) {
 export function handleMouseLeave(e) {
   // Stop a selection drag where it is (element keeps its new position)
   if (this.state.dragging) {
+    if (this.state.dragging.moved) this.pushHistory(this.state.dragging.before);
     this.state.dragging = null;
+    this.snapping.guides = [];
+    this.redrawCanvas();
+    this.updateSelectionOptions(); // Dragging a magnifier's corner changes its zoom
+    this.updateSensitiveControls();
+    return;
+  }
+
+  // A rubber band stops at the edge, keeping what it selected so far
+  if (this.drawingState.marquee) {
+    this.state.isDrawing = false;
+    this.drawingState.marquee = null;
     this.redrawCanvas();
     return;
   }
@@ -343,13 +806,19 @@ export function handleMouseLeave(e) {
     const toolWasCrop = this.isToolActive('crop');
     const toolWasAnnotate = this.isToolActive('annotate');
     const toolWasArrow = this.isToolActive('arrow');
+    const toolWasShape = this.isToolActive('shape');
+    const toolWasDraw = this.isToolActive('draw');
+    const toolWasStep = this.isToolActive('step');
+    const toolWasCallout = this.isToolActive('callout');
+    const toolWasMagnify = this.isToolActive('magnify');
+    const toolWasSpotlight = this.isToolActive('spotlight');
     this.state.isDrawing = false;
 
     let cursor = 'default';
 
     if (toolWasCrop) {
-      this.resetCropState();
-      this.showToast("Crop cancelled (mouse left canvas).", false, 'info');
+      // The selection stops at the edge, like a rubber band
+      this.finishCropSelection();
       if (this.isToolActive('crop')) cursor = 'crosshair';
     }
     if (toolWasAnnotate) {
@@ -364,6 +833,42 @@ export function handleMouseLeave(e) {
       this.showToast("Arrow cancelled (mouse left canvas).", false, 'info');
       if (this.isToolActive('arrow')) cursor = 'crosshair';
     }
+    if (toolWasShape) {
+      this.drawingState.shapeStart = null;
+      this.redrawCanvas();
+      this.showToast("Shape cancelled (mouse left canvas).", false, 'info');
+      cursor = 'crosshair';
+    }
+    if (toolWasDraw) {
+      // A freehand stroke is kept up to the edge rather than thrown away
+      this.finishStroke();
+      cursor = 'crosshair';
+    }
+    if (toolWasStep) {
+      this.drawingState.stepStart = null;
+      this.redrawCanvas();
+      this.showToast("Step cancelled (mouse left canvas).", false, 'info');
+      cursor = 'crosshair';
+    }
+    if (toolWasCallout) {
+      this.drawingState.calloutStart = null;
+      this.redrawCanvas();
+      this.showToast("Callout cancelled (mouse left canvas).", false, 'info');
+      cursor = 'crosshair';
+    }
+    if (toolWasMagnify) {
+      this.drawingState.magnifyStart = null;
+      this.redrawCanvas();
+      this.showToast("Magnifier cancelled (mouse left canvas).", false, 'info');
+      cursor = 'crosshair';
+    }
+    if (toolWasSpotlight) {
+      this.drawingState.spotlightStart = null;
+      this.drawingState.spotlightRegion = null;
+      this.redrawCanvas();
+      this.showToast("Spotlight region cancelled (mouse left canvas).", false, 'info');
+      cursor = 'crosshair';
+    }
 
     if (this.canvas) {
       this.canvas.style.cursor = cursor;
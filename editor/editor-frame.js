@@ -0,0 +1,356 @@
+// Frame added around exported images until the user sets up their own:
+// padding and corner radius in image pixels, background 'gradient', 'solid'
+// or 'transparent'
+export const DEFAULT_FRAME = {
+  enabled: false,
+  padding: 64,
+  background: 'gradient',
+  gradient: ['#667EEA', '#764BA2'],
+  color: '#F2F2F7',
+  radius: 12,
+  shadow: true,
+  browserBar: false
+};
+
+// Gradients offered as swatches in the frame panel
+const FRAME_GRADIENTS = [
+  ['#667EEA', '#764BA2'], ['#FF9A8B', '#FF6A88'], ['#43E97B', '#38F9D7'],
+  ['#4FACFE', '#00F2FE'], ['#FAD961', '#F76B1C'], ['#2C3E50', '#4CA1AF']
+];
+
+// Window controls drawn on the browser bar
+const BROWSER_DOTS = ['#FF5F57', '#FEBC2E', '#28C840'];
+
+/**
+ * Builds the frame panel (background, padding, corners, shadow, browser bar
+ * and presets), wires its toggle button and loads the saved settings.
+ */
+export function initializeFramePanel() {
+  const panel = document.getElementById('framePanel');
+  const toggle = document.getElementById('frameTool');
+  if (!panel || !toggle) {
+    console.warn("Frame panel not found.");
+    return;
+  }
+
+  const gradients = document.getElementById('frameGradients');
+  gradients.replaceChildren(...FRAME_GRADIENTS.map(gradient => {
+    const swatch = document.createElement('button');
+    swatch.type = 'button';
+    swatch.className = 'style-swatch';
+    swatch.dataset.gradient = gradient.join(',');
+    swatch.style.background = `linear-gradient(135deg, ${gradient[0]}, ${gradient[1]})`;
+    swatch.setAttribute('aria-label', `Gradient ${gradient[0]} to ${gradient[1]}`);
+    swatch.addEventListener('click', () => this.setFrame({ background: 'gradient', gradient }, true));
+    return swatch;
+  }));
+
+  document.getElementById('frameEnabled').addEventListener('change', (event) => {
+    this.setFrame({ enabled: event.target.checked }, true);
+  });
+  panel.querySelectorAll('[data-frame-background]').forEach(button => {
+    button.addEventListener('click', () => this.setFrame({ background: button.dataset.frameBackground }, true));
+  });
+  document.getElementById('frameColor').addEventListener('input', (event) => {
+    this.setFrame({ background: 'solid', color: event.target.value.toUpperCase() }, false);
+  });
+  const sliders = { framePadding: 'padding', frameRadius: 'radius' };
+  for (const [id, key] of Object.entries(sliders)) {
+    const slider = document.getElementById(id);
+    // Live while dragging; saved once released
+    slider.addEventListener('input', () => this.setFrame({ [key]: Number(slider.value) }, false));
+    slider.addEventListener('change', () => this.saveFrameSettings());
+  }
+  document.getElementById('frameColor').addEventListener('change', () => this.saveFrameSettings());
+  document.getElementById('frameShadow').addEventListener('change', (event) => {
+    this.setFrame({ shadow: event.target.checked }, true);
+  });
+  document.getElementById('frameBrowserBar').addEventListener('change', (event) => {
+    this.setFrame({ browserBar: event.target.checked }, true);
+  });
+
+  document.getElementById('framePreset').addEventListener('change', (event) => {
+    const preset = this.framePresets.find(p => p.name === event.target.value);
+    if (preset) this.setFrame({ ...preset.frame, enabled: true }, true);
+  });
+  document.getElementById('frameSavePreset').addEventListener('click', () => this.saveFramePreset());
+  document.getElementById('frameDeletePreset').addEventListener('click', () => this.deleteFramePreset());
+
+  toggle.addEventListener('click', () => {
+    this.closeStylePanel();
+    this.closeTransformPanel();
+    panel.hidden = !panel.hidden;
+    toggle.classList.toggle('active', !panel.hidden);
+    if (!panel.hidden) this.updateFramePreview();
+  });
+
+  this.updateFramePanel();
+  this.loadFrameSettings();
+}
+
+/**
+ * Hides the frame panel (clicking outside it or pressing Escape).
+ */
+export function closeFramePanel() {
+  const panel = document.getElementById('framePanel');
+  if (!panel || panel.hidden) return;
+  panel.hidden = true;
+  this.framePreviewSource = null;
+  document.getElementById('frameTool')?.classList.remove('active');
+}
+
+/**
+ * Loads the last-used frame and the saved presets from chrome.storage.sync.
+ */
+export async function loadFrameSettings() {
+  try {
+    const { frameSettings, framePresets } = await chrome.storage.sync.get({ frameSettings: DEFAULT_FRAME, framePresets: [] });
+    this.frame = { ...DEFAULT_FRAME, ...frameSettings };
+    this.framePresets = framePresets;
+    this.updateFramePanel();
+  } catch (error) {
+    console.warn("Failed to load frame settings:", error);
+  }
+}
+
+/**
+ * Remembers the current frame for next time.
+ */
+export function saveFrameSettings() {
+  chrome.storage.sync.set({ frameSettings: this.frame }).catch(error => {
+    console.warn("Failed to save frame settings:", error);
+  });
+}
+
+/**
+ * Changes the frame added to exported images.
+ * @param {object} changes - Some of the DEFAULT_FRAME properties.
+ * @param {boolean} save - Save the settings now, rather than when the
+ *        slider/color picker is released.
+ */
+export function setFrame(changes, save) {
+  Object.assign(this.frame, changes);
+  this.updateFramePanel();
+  if (save) this.saveFrameSettings();
+}
+
+/**
+ * Saves the current frame as a named preset (replacing one of the same name).
+ */
+export async function saveFramePreset() {
+  const name = window.prompt('Name this frame preset:', document.getElementById('framePreset').value || '');
+  if (!name || !name.trim()) return;
+  const { enabled, ...frame } = this.frame;
+  const presets = this.framePresets.filter(p => p.name !== name.trim());
+  presets.push({ name: name.trim(), frame });
+  try {
+    await chrome.storage.sync.set({ framePresets: presets });
+    this.framePresets = presets;
+    this.updateFramePanel(name.trim());
+    this.showToast(`Saved frame preset "${name.trim()}"`, false, 'success');
+  } catch (error) {
+    console.error("Failed to save frame preset:", error);
+    this.showToast(`Couldn't save the preset: ${error.message}`, false, 'error');
+  }
+}
+
+/**
+ * Deletes the preset chosen in the preset list.
+ */
+export async function deleteFramePreset() {
+  const name = document.getElementById('framePreset').value;
+  if (!name) return;
+  const presets = this.framePresets.filter(p => p.name !== name);
+  try {
+    await chrome.storage.sync.set({ framePresets: presets });
+    this.framePresets = presets;
+    this.updateFramePanel();
+    this.showToast(`Deleted frame preset "${name}"`, false, 'info');
+  } catch (error) {
+    console.error("Failed to delete frame preset:", error);
+    this.showToast(`Couldn't delete the preset: ${error.message}`, false, 'error');
+  }
+}
+
+/**
+ * Reflects the frame settings in the panel, the preset list and the
+ * toolbar button, and refreshes the preview.
+ * @param {string} [presetName] - Preset to show as chosen.
+ */
+export function updateFramePanel(presetName) {
+  const frame = this.frame;
+  const enabled = document.getElementById('frameEnabled');
+  if (!enabled) return;
+  enabled.checked = frame.enabled;
+  document.getElementById('frameSettings').disabled = !frame.enabled;
+  document.querySelectorAll('[data-frame-background]').forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.frameBackground === frame.background));
+  });
+  document.getElementById('frameGradients').hidden = frame.background !== 'gradient';
+  document.getElementById('frameColorField').hidden = frame.background !== 'solid';
+  document.querySelectorAll('#frameGradients .style-swatch').forEach(swatch => {
+    swatch.setAttribute('aria-pressed', String(swatch.dataset.gradient === frame.gradient.join(',')));
+  });
+  document.getElementById('frameColor').value = frame.color.toLowerCase();
+  document.getElementById('framePadding').value = String(frame.padding);
+  document.getElementById('frameRadius').value = String(frame.radius);
+  document.getElementById('frameShadow').checked = frame.shadow;
+  document.getElementById('frameBrowserBar').checked = frame.browserBar;
+
+  const select = document.getElementById('framePreset');
+  const chosen = presetName ?? select.value;
+  const placeholder = new Option('Presets…', '');
+  select.replaceChildren(placeholder, ...this.framePresets.map(p => new Option(p.name, p.name)));
+  select.value = this.framePresets.some(p => p.name === chosen) ? chosen : '';
+  document.getElementById('frameDeletePreset').disabled = !select.value;
+
+  document.getElementById('frameToolIndicator').hidden = !frame.enabled;
+  this.updateFramePreview();
+}
+
+/**
+ * Draws a thumbnail of the exported image, frame included, while the panel
+ * is open. The image is composed and scaled down once, then framed at that
+ * scale, so dragging a slider doesn't redo a full-size export every frame.
+ */
+export function updateFramePreview() {
+  const preview = document.getElementById('framePreview');
+  const panel = document.getElementById('framePanel');
+  if (!preview || !panel || panel.hidden || !this.offscreenCanvas || this.offscreenCanvas.width === 0) return;
+  if (this.framePreviewPending) return;
+  this.framePreviewPending = true;
+  requestAnimationFrame(() => {
+    this.framePreviewPending = false;
+    if (!this.framePreviewSource) this.framePreviewSource = this.createFramePreviewSource(preview);
+    const { image, scale } = this.framePreviewSource;
+    const framed = this.frame.enabled ? this.applyFrame(image, scale) : image;
+    const fit = Math.min(preview.width / framed.width, preview.height / framed.height);
+    const ctx = preview.getContext('2d');
+    ctx.clearRect(0, 0, preview.width, preview.height);
+    ctx.imageSmoothingQuality = 'high';
+    const width = framed.width * fit;
+    const height = framed.height * fit;
+    ctx.drawImage(framed, (preview.width - width) / 2, (preview.height - height) / 2, width, height);
+  });
+}
+
+/**
+ * Composes the unframed export and scales it down to about twice the
+ * preview's size (sharp on high-density screens).
+ * @returns {{image: HTMLCanvasElement, scale: number}} The small copy and its
+ *          size relative to the export.
+ */
+export function createFramePreviewSource(preview) {
+  const full = this.prepareFinalCanvas(false);
+  const scale = Math.min(1, preview.width * 2 / full.width, preview.height * 2 / full.height);
+  const image = document.createElement('canvas');
+  image.width = Math.max(1, Math.round(full.width * scale));
+  image.height = Math.max(1, Math.round(full.height * scale));
+  const ctx = image.getContext('2d');
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(full, 0, 0, image.width, image.height);
+  return { image, scale };
+}
+
+/**
+ * Puts an exported image in its frame: padding over a background, rounded
+ * corners, a drop shadow and optionally a browser window bar showing the
+ * captured page's title and URL.
+ * @param {HTMLCanvasElement} image - The composed (cropped, annotated) image.
+ * @param {number} [scale=1] - Size of image relative to the export (for the
+ *        preview); the frame is scaled to match.
+ * @returns {HTMLCanvasElement} A new, larger canvas.
+ */
+export function applyFrame(image, scale = 1) {
+  const frame = this.frame;
+  // Browser bar and shadow sizes follow the image, so retina captures match
+  const unit = Math.max(1, image.width / scale / 1280) * scale;
+  const barHeight = frame.browserBar ? Math.round(40 * unit) : 0;
+  const padding = Math.round(frame.padding * scale);
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width + padding * 2;
+  canvas.height = image.height + barHeight + padding * 2;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+
+  if (frame.background === 'gradient') {
+    const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+    gradient.addColorStop(0, frame.gradient[0]);
+    gradient.addColorStop(1, frame.gradient[1]);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  } else if (frame.background === 'solid') {
+    ctx.fillStyle = frame.color;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  const windowRect = { x: padding, y: padding, width: image.width, height: image.height + barHeight };
+  const radius = Math.min(frame.radius * scale, windowRect.width / 2, windowRect.height / 2);
+  if (frame.shadow && padding > 0) {
+    ctx.save();
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.35)';
+    ctx.shadowBlur = Math.min(padding, 40 * unit);
+    ctx.shadowOffsetY = ctx.shadowBlur / 3;
+    ctx.fillStyle = '#FFFFFF';
+    ctx.beginPath();
+    ctx.roundRect(windowRect.x, windowRect.y, windowRect.width, windowRect.height, radius);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.roundRect(windowRect.x, windowRect.y, windowRect.width, windowRect.height, radius);
+  ctx.clip();
+  if (barHeight) drawBrowserBar(ctx, { ...windowRect, height: barHeight }, unit, this.captureMeta);
+  ctx.drawImage(image, padding, padding + barHeight);
+  ctx.restore();
+  return canvas;
+}
+
+// Draws a browser window's title bar: window controls, the page title and
+// an address field with the URL
+function drawBrowserBar(ctx, bar, unit, meta) {
+  ctx.fillStyle = '#E9E9EE';
+  ctx.fillRect(bar.x, bar.y, bar.width, bar.height);
+  ctx.fillStyle = '#D1D1D6';
+  ctx.fillRect(bar.x, bar.y + bar.height - unit, bar.width, unit);
+
+  const middle = bar.y + bar.height / 2;
+  BROWSER_DOTS.forEach((color, i) => {
+    ctx.beginPath();
+    ctx.arc(bar.x + 20 * unit + i * 18 * unit, middle, 6 * unit, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+  });
+
+  ctx.font = `${12 * unit}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+  ctx.textBaseline = 'middle';
+  const titleX = bar.x + 80 * unit;
+  const fieldX = bar.x + Math.max(bar.width * 0.3, 200 * unit);
+  const fieldWidth = bar.x + bar.width - 16 * unit - fieldX;
+  if (meta.title && fieldX - titleX > 40 * unit) {
+    ctx.fillStyle = '#3C3C43';
+    ctx.fillText(fitText(ctx, meta.title, fieldX - titleX - 16 * unit), titleX, middle);
+  }
+  if (fieldWidth > 40 * unit) {
+    ctx.fillStyle = '#FFFFFF';
+    ctx.beginPath();
+    ctx.roundRect(fieldX, middle - 12 * unit, fieldWidth, 24 * unit, 6 * unit);
+    ctx.fill();
+    if (meta.url) {
+      ctx.fillStyle = '#6E6E73';
+      ctx.fillText(fitText(ctx, meta.url, fieldWidth - 24 * unit), fieldX + 12 * unit, middle);
+    }
+  }
+}
+
+// Shortens text with an ellipsis to fit maxWidth
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && ctx.measureText(`${text.slice(0, end)}…`).width > maxWidth) end--;
+  return end > 0 ? `${text.slice(0, end)}…` : '';
+}
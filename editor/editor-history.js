@@ -0,0 +1,144 @@
+// Maximum number of undo steps kept
+const HISTORY_LIMIT = 50;
+
+/**
+ * Wires up the undo/redo toolbar buttons. Unlike copy/save these don't
+ * deactivate the current tool, so undoing a stray arrow keeps the arrow tool.
+ */
+export function initializeHistoryControls() {
+  const controls = { undoTool: this.undo, redoTool: this.redo };
+  for (const [id, action] of Object.entries(controls)) {
+    const button = document.getElementById(id);
+    if (!button) {
+      console.warn(`History control with ID ${id} not found.`);
+      continue;
+    }
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      action.call(this);
+    });
+  }
+  this.updateHistoryControls();
+}
+
+/**
+ * Snapshots the document: the base image, the crop, the sensitive data
+ * outlines (which move when the image is rotated or resized) and a deep copy
+ * of every annotation element. The image copy is cached until the bitmap changes, so
+ * element-only edits share one copy instead of duplicating the screenshot.
+ */
+export function createHistorySnapshot() {
+  return {
+    image: this.getImageSnapshot(),
+    elements: structuredClone(this.elements.annotationElements),
+    crop: this.canvasState.crop ? { ...this.canvasState.crop } : null,
+    sensitiveRegions: structuredClone(this.sensitiveRegions)
+  };
+}
+
+/**
+ * Returns a copy of the offscreen bitmap, reusing the cached one if the
+ * bitmap hasn't changed since it was taken.
+ */
+export function getImageSnapshot() {
+  if (!this.canvasState.imageSnapshot) {
+    const copy = document.createElement('canvas');
+    copy.width = this.offscreenCanvas.width;
+    copy.height = this.offscreenCanvas.height;
+    copy.getContext('2d').drawImage(this.offscreenCanvas, 0, 0);
+    this.canvasState.imageSnapshot = copy;
+  }
+  return this.canvasState.imageSnapshot;
+}
+
+/**
+ * Records an undo step. Call BEFORE changing the document, or pass a
+ * snapshot taken earlier (e.g. when a drag started) once the change is known.
+ * @param {object} [snapshot] - A snapshot from createHistorySnapshot().
+ */
+export function pushHistory(snapshot = this.createHistorySnapshot()) {
+  this.history.undoStack.push(snapshot);
+  if (this.history.undoStack.length > HISTORY_LIMIT) this.history.undoStack.shift();
+  this.history.redoStack = [];
+  this.state.unsavedChanges = true;
+  this.updateHistoryControls();
+}
+
+/**
+ * Reverts the most recent change.
+ */
+export function undo() {
+  if (!this.prepareHistoryStep() || this.history.undoStack.length === 0) return;
+  this.history.redoStack.push(this.createHistorySnapshot());
+  this.restoreHistorySnapshot(this.history.undoStack.pop());
+  this.showToast('Undone', false, 'info');
+}
+
+/**
+ * Re-applies the most recently undone change.
+ */
+export function redo() {
+  if (!this.prepareHistoryStep() || this.history.redoStack.length === 0) return;
+  this.history.undoStack.push(this.createHistorySnapshot());
+  this.restoreHistorySnapshot(this.history.redoStack.pop());
+  this.showToast('Redone', false, 'info');
+}
+
+/**
+ * Settles any in-progress interaction before stepping through history.
+ * @returns {boolean} False if the editor isn't in a state to undo/redo.
+ */
+export function prepareHistoryStep() {
+  if (!this.offscreenCanvas || this.state.isDrawing || this.state.dragging) return false;
+  if (this.activeTextInput) this.commitTextInput();
+  return true;
+}
+
+/**
+ * Puts the document back to a snapshot, resizing the canvases if the image
+ * or crop size changes.
+ */
+export function restoreHistorySnapshot(snapshot) {
+  const { image, elements, crop, sensitiveRegions } = snapshot;
+  if (image !== this.canvasState.imageSnapshot) {
+    if (this.offscreenCanvas.width !== image.width || this.offscreenCanvas.height !== image.height) {
+      this.offscreenCanvas.width = image.width;
+      this.offscreenCanvas.height = image.height;
+    }
+    this.offscreenCtx.clearRect(0, 0, image.width, image.height);
+    this.offscreenCtx.drawImage(image, 0, 0);
+    // Snapshots are never modified, so this one doubles as the cached copy
+    this.canvasState.imageSnapshot = image;
+    this.canvasState.redactionCache = new WeakMap();
+  }
+  this.elements.annotationElements = structuredClone(elements);
+  this.canvasState.crop = crop ? { ...crop } : null;
+  this.sensitiveRegions = structuredClone(sensitiveRegions);
+  this.clearSelection();
+  this.state.dragging = null;
+  this.state.unsavedChanges = true;
+  if (this.isToolActive('crop')) this.toggleTool('crop'); // Leave crop mode so the restored crop is shown
+  this.updateCanvasView();
+  this.updateHistoryControls();
+  this.updateSelectionOptions(); // The spotlight's settings may have changed
+}
+
+/**
+ * Forgets all undo/redo steps (e.g. when another screenshot is loaded).
+ */
+export function clearHistory() {
+  this.history.undoStack = [];
+  this.history.redoStack = [];
+  this.canvasState.imageSnapshot = null;
+  this.updateHistoryControls();
+}
+
+/**
+ * Enables the undo/redo buttons only when there is something to step to.
+ */
+export function updateHistoryControls() {
+  const undoButton = document.getElementById('undoTool');
+  const redoButton = document.getElementById('redoTool');
+  if (undoButton) undoButton.disabled = this.history.undoStack.length === 0;
+  if (redoButton) redoButton.disabled = this.history.redoStack.length === 0;
+}
@@ -1,3 +1,10 @@
+// Import the smallest allowed redaction block size and the list of drawing tools
+import { MIN_REDACTION_SIZE } from './editor-canvas.js';
+import { DRAWING_TOOLS } from './editor-tools.js';
+
+// Tools that show an options bar of their own while active
+const TOOLS_WITH_OPTIONS = ['crop', 'annotate', 'shape', 'draw', 'step', 'magnify', 'spotlight', 'text'];
+
 /**
  * Performs initial cleanup when the editor is closing or unloading.
  */
@@ -27,6 +34,13 @@ export function cleanup() {
     this.ui.toastTimeout = null; 
   }
   this.canvasState.lastImageData = null;
+  this.canvasState.imageSnapshot = null;
+  this.history.undoStack = [];
+  this.history.redoStack = [];
+
+  if (this.boundHandleRuntimeMessage) {
+    chrome.runtime.onMessage.removeListener(this.boundHandleRuntimeMessage);
+  }
 
   // Remove event listeners
   if (typeof this.removeEditorEventListeners === 'function') {
@@ -68,10 +82,12 @@ export async function checkMode() {
  */
 export async function loadScreenshot() {
   try {
-    const { currentScreenshot } = await chrome.storage.local.get(['currentScreenshot']);
+    const { currentScreenshot, cropOnlyMode, cropRegion, captureMeta, sensitiveRegions } = await chrome.storage.local.get(['currentScreenshot', 'cropOnlyMode', 'cropRegion', 'captureMeta', 'sensitiveRegions']);
     if (!currentScreenshot) { 
       throw new Error('No screenshot data found in storage.'); 
     }
+    this.captureMeta = captureMeta || {};
+    this.sensitiveRegions = sensitiveRegions || [];
 
     const img = new Image();
     img.onerror = (e) => {
@@ -104,6 +120,9 @@ export async function loadScreenshot() {
         this.offscreenCtx.imageSmoothingQuality = 'high';
         this.offscreenCtx.clearRect(0,0, canvasWidth, canvasHeight);
         this.offscreenCtx.drawImage( this.canvasState.originalImage, 0, 0 );
+        this.canvasState.imageSnapshot = null;
+        this.canvasState.redactionCache = new WeakMap();
+        this.canvasState.crop = null;
 
         // Enable high-quality image smoothing for the main canvas as well
         this.ctx.imageSmoothingEnabled = true;
@@ -111,8 +130,23 @@ export async function loadScreenshot() {
 
         this.ctx.drawImage(this.offscreenCanvas, 0, 0);
 
+        // Region captures arrive as the full viewport plus the selected area,
+        // so "reset crop" can still bring back the rest of the viewport
+        this.state.cropOnlyMode = Boolean(cropOnlyMode && cropRegion);
+        if (this.state.cropOnlyMode) {
+          this.applyCrop(cropRegion);
+        }
+        this.updateCropControls();
+        this.updateSensitiveControls();
+
         this.updateCanvasRect();
 
+        if (this.getUncoveredSensitiveRegions(true).length > 0) {
+          this.showToast('Possible sensitive data is outlined in orange. Use "Redact suggestions" to hide it.', false, 'warning');
+        } else if (this.captureMeta.selector) {
+          this.showToast(`Captured element: ${this.captureMeta.selector}`, false, 'info');
+        }
+
         this.canvas.style.opacity = '0';
         requestAnimationFrame(() => {
           this.canvas.style.transition = 'opacity 0.3s ease-in-out';
@@ -143,6 +177,59 @@ export async function loadScreenshot() {
   }
 }
 
+/**
+ * Listens for the background worker handing a new capture to this already
+ * open editor tab, instead of opening another one.
+ */
+export function listenForScreenshots() {
+  chrome.tabs.getCurrent().then(tab => {
+    this.tabId = tab ? tab.id : null;
+  });
+  this.boundHandleRuntimeMessage = this.handleRuntimeMessage.bind(this);
+  chrome.runtime.onMessage.addListener(this.boundHandleRuntimeMessage);
+}
+
+/**
+ * Loads the newly stored capture if the message is addressed to this tab.
+ * Unsaved annotations are only discarded after the user confirms; otherwise
+ * the background worker opens the capture in a new tab.
+ */
+export function handleRuntimeMessage(message, sender, sendResponse) {
+  if (message?.type !== 'snipscreen:load-screenshot' || message.tabId !== this.tabId) return false;
+
+  if (this.state.unsavedChanges && !window.confirm(
+    'Replace this screenshot with the new capture? Your unsaved annotations will be lost.\n\n' +
+    'Choose Cancel to open the new capture in a separate tab instead.'
+  )) {
+    sendResponse({ accepted: false });
+    return false;
+  }
+
+  this.resetEditorState();
+  this.loadScreenshot();
+  sendResponse({ accepted: true });
+  return false;
+}
+
+/**
+ * Clears tools, selection and annotations before another screenshot is loaded.
+ */
+export function resetEditorState() {
+  if (this.activeTextInput) this.cancelTextInput();
+  DRAWING_TOOLS.forEach(toolName => {
+    if (this.isToolActive(toolName)) this.toggleTool(toolName);
+  });
+  this.clearDrawingState();
+  this.clearSelection();
+  this.viewport.zoom = null;
+  this.state.dragging = null;
+  this.elements.annotationElements = [];
+  this.sensitiveRegions = [];
+  this.canvasState.crop = null;
+  this.clearHistory();
+  this.state.unsavedChanges = false;
+}
+
 /**
  * Handles the scenario where loading the screenshot fails.
  */
@@ -189,9 +276,17 @@ export function handleLoadFailure(message = 'Screenshot loading failed') {
 export function initializeTools() {
   const tools = {
     'cropTool': 'crop',
-    'annotateTool': 'annotate', // Blackout
+    'annotateTool': 'annotate', // Redaction
+    'shapeTool': 'shape',
+    'drawTool': 'draw',
+    'stepTool': 'step',
+    'calloutTool': 'callout',
+    'magnifyTool': 'magnify',
+    'spotlightTool': 'spotlight',
     'arrowTool': 'arrow',
     'textTool': 'text',
+    'resetCropTool': this.resetCrop,
+    'redactSuggestionsTool': this.redactSuggestions,
     'shareTool': this.copyToClipboard,
     'saveTool': this.saveImage
   };
@@ -208,15 +303,12 @@ export function initializeTools() {
             // Commit pending text and deselect tools/elements before action,
             // so the visible canvas matches what gets exported
             if (this.activeTextInput) this.commitTextInput();
-            ['crop', 'annotate', 'arrow', 'text'].forEach(toolName => {
+            DRAWING_TOOLS.forEach(toolName => {
               if (this.isToolActive(toolName)) {
                 this.toggleTool(toolName);
               }
             });
-            if (this.state.selected) {
-              this.state.selected = null;
-              this.redrawCanvas();
-            }
+            if (this.clearSelection()) this.redrawCanvas();
             await action.call(this);
           }
         } catch (error) { 
@@ -236,9 +328,283 @@ export function initializeTools() {
 }
 
 /**
- * Recomputes the canvas's on-screen (CSS) size so the current bitmap fits the
- * container while preserving its aspect ratio. Must be called whenever the
- * bitmap dimensions change (initial load, crop) or the window resizes.
+ * Wires up the options bars shown under the toolbar while a tool is active:
+ * redaction (black box / pixelate / blur and the block size), shapes
+ * (rectangle / ellipse / line and rounded corners), drawing (pen /
+ * highlighter), step badges (arrow or line leader), magnifiers (lens shape,
+ * zoom and connector), the spotlight (region shape, dim or blur and its
+ * strength) and text (alignment, font, weight and background box).
+ */
+export function initializeToolOptions() {
+  const sizeInput = document.getElementById('redactSize');
+  const roundedInput = document.getElementById('shapeRounded');
+  const fontSelect = document.getElementById('textFontFamily');
+  const backgroundInput = document.getElementById('textBackground');
+  const connectorInput = document.getElementById('magnifierConnector');
+  const dimInput = document.getElementById('spotlightDim');
+  const blurInput = document.getElementById('spotlightBlur');
+  if (!sizeInput || !roundedInput || !fontSelect || !backgroundInput || !connectorInput || !dimInput || !blurInput) {
+    console.warn("Tool options not found.");
+    return;
+  }
+  sizeInput.min = String(MIN_REDACTION_SIZE);
+  sizeInput.value = String(this.redaction.size);
+  roundedInput.checked = this.shape.rounded;
+
+  document.querySelectorAll('[data-redact-mode]').forEach(button => {
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.redaction.mode = button.dataset.redactMode;
+      this.updateToolOptions();
+    });
+  });
+  document.querySelectorAll('[data-shape-kind]').forEach(button => {
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.shape.kind = button.dataset.shapeKind;
+      this.updateToolOptions();
+    });
+  });
+  document.querySelectorAll('[data-freehand-kind]').forEach(button => {
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.freehand.kind = button.dataset.freehandKind;
+      this.updateToolOptions();
+    });
+  });
+  document.querySelectorAll('[data-step-leader]').forEach(button => {
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.stepLeader = button.dataset.stepLeader;
+      this.updateToolOptions();
+    });
+  });
+  document.querySelectorAll('[data-text-align]').forEach(button => {
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.setTextStyle({ align: button.dataset.textAlign });
+    });
+  });
+  document.querySelectorAll('[data-text-weight]').forEach(button => {
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.setTextStyle({ fontWeight: button.dataset.textWeight });
+    });
+  });
+  document.querySelectorAll('[data-magnifier-shape]').forEach(button => {
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.setMagnifierOptions({ shape: button.dataset.magnifierShape });
+    });
+  });
+  document.querySelectorAll('[data-magnifier-zoom]').forEach(button => {
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.setMagnifierOptions({ zoom: Number(button.dataset.magnifierZoom) });
+    });
+  });
+  connectorInput.addEventListener('change', () => {
+    this.setMagnifierOptions({ connector: connectorInput.checked });
+  });
+  document.querySelectorAll('[data-spotlight-shape]').forEach(button => {
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.setSpotlightOptions({ shape: button.dataset.spotlightShape });
+    });
+  });
+  document.querySelectorAll('[data-spotlight-effect]').forEach(button => {
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.setSpotlightOptions({ effect: button.dataset.spotlightEffect });
+    });
+  });
+  // Live while dragging; one undo step once released
+  dimInput.addEventListener('input', () => this.setSpotlightOptions({ dim: Number(dimInput.value) }, false));
+  blurInput.addEventListener('input', () => this.setSpotlightOptions({ blur: Number(blurInput.value) }, false));
+  dimInput.addEventListener('change', () => this.commitSpotlightChange());
+  blurInput.addEventListener('change', () => this.commitSpotlightChange());
+  fontSelect.addEventListener('change', () => {
+    this.setTextStyle({ fontFamily: fontSelect.value });
+  });
+  backgroundInput.addEventListener('change', () => {
+    this.setTextStyle({ background: backgroundInput.checked });
+  });
+  sizeInput.addEventListener('input', () => {
+    this.redaction.size = Math.max(MIN_REDACTION_SIZE, Number(sizeInput.value));
+  });
+  roundedInput.addEventListener('change', () => {
+    this.shape.rounded = roundedInput.checked;
+  });
+  this.updateToolOptions();
+}
+
+/**
+ * Shows the options bar of the active tool (if it has one) and reflects the
+ * current choices in it.
+ */
+export function updateToolOptions() {
+  const redactOptions = document.getElementById('redactOptions');
+  if (redactOptions) {
+    redactOptions.hidden = !this.isToolActive('annotate');
+    redactOptions.querySelectorAll('[data-redact-mode]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.redactMode === this.redaction.mode));
+    });
+    const sizeField = document.getElementById('redactSizeField');
+    if (sizeField) {
+      sizeField.hidden = this.redaction.mode === 'fill';
+      sizeField.querySelector('span').textContent = this.redaction.mode === 'blur' ? 'Blur radius' : 'Block size';
+    }
+  }
+
+  const shapeOptions = document.getElementById('shapeOptions');
+  if (shapeOptions) {
+    shapeOptions.hidden = !this.isToolActive('shape');
+    shapeOptions.querySelectorAll('[data-shape-kind]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.shapeKind === this.shape.kind));
+    });
+    const roundedField = document.getElementById('shapeRoundedField');
+    if (roundedField) roundedField.hidden = this.shape.kind !== 'box';
+  }
+
+  const drawOptions = document.getElementById('drawOptions');
+  if (drawOptions) {
+    drawOptions.hidden = !this.isToolActive('draw');
+    drawOptions.querySelectorAll('[data-freehand-kind]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.freehandKind === this.freehand.kind));
+    });
+  }
+
+  this.updateCropOptions();
+
+  const stepOptions = document.getElementById('stepOptions');
+  if (stepOptions) {
+    stepOptions.hidden = !this.isToolActive('step');
+    stepOptions.querySelectorAll('[data-step-leader]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.stepLeader === this.stepLeader));
+    });
+  }
+
+  this.updateSelectionOptions();
+}
+
+/**
+ * Updates the options bars that also show for a selected element (text,
+ * magnifier, spotlight). Called when the selection changes, when a selected
+ * element is edited (dragged, typed into) and when history is restored.
+ */
+export function updateSelectionOptions() {
+  this.updateTextOptions();
+  this.updateMagnifierOptions();
+  this.updateSpotlightOptions();
+}
+
+/**
+ * Shows the text options while the text tool is active, or while text (not
+ * a callout) is being typed or selected and no other tool has its options bar up, reflecting
+ * that text's layout (or the one for new text).
+ */
+export function updateTextOptions() {
+  const textOptions = document.getElementById('textOptions');
+  if (!textOptions) return;
+  const selected = this.state.selected && this.state.selected.type === 'text' ? this.state.selected : null;
+  const typingText = !!this.activeTextInput && !(this.activeTextInput.element && this.activeTextInput.element.type === 'callout');
+  const otherOptionsShown = TOOLS_WITH_OPTIONS.some(tool => tool !== 'text' && this.isToolActive(tool));
+  textOptions.hidden = !this.isToolActive('text') && (otherOptionsShown || (!selected && !typingText));
+  if (textOptions.hidden) return;
+
+  const style = typingText ? this.activeTextInput.style : selected || this.textStyle;
+  textOptions.querySelectorAll('[data-text-align]').forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.textAlign === (style.align || 'left')));
+  });
+  textOptions.querySelectorAll('[data-text-weight]').forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.textWeight === (style.fontWeight || 'bold')));
+  });
+  document.getElementById('textFontFamily').value = style.fontFamily || 'sans';
+  document.getElementById('textBackground').checked = !!style.background;
+}
+
+/**
+ * Shows the magnifier options while the magnify tool is active, or while a
+ * magnifier is selected and no other tool has its options bar up, reflecting
+ * that magnifier's settings (or the ones for new magnifiers).
+ */
+export function updateMagnifierOptions() {
+  const magnifierOptions = document.getElementById('magnifierOptions');
+  if (!magnifierOptions) return;
+  const selected = this.state.selected && this.state.selected.type === 'magnifier' ? this.state.selected : null;
+  const otherOptionsShown = TOOLS_WITH_OPTIONS.some(tool => tool !== 'magnify' && this.isToolActive(tool));
+  magnifierOptions.hidden = !this.isToolActive('magnify') && (otherOptionsShown || !selected);
+  if (magnifierOptions.hidden) return;
+
+  const settings = selected || this.magnifier;
+  magnifierOptions.querySelectorAll('[data-magnifier-shape]').forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.magnifierShape === settings.shape));
+  });
+  magnifierOptions.querySelectorAll('[data-magnifier-zoom]').forEach(button => {
+    button.setAttribute('aria-pressed', String(Number(button.dataset.magnifierZoom) === settings.zoom));
+  });
+  document.getElementById('magnifierConnector').checked = !!settings.connector;
+}
+
+/**
+ * Shows the spotlight options while the spotlight tool is active, or while
+ * the spotlight is selected and no other tool has its options bar up. The
+ * effect settings shown are the document spotlight's, if it has one.
+ */
+export function updateSpotlightOptions() {
+  const spotlightOptions = document.getElementById('spotlightOptions');
+  if (!spotlightOptions) return;
+  const selected = this.state.selected && this.state.selected.type === 'spotlight';
+  const otherOptionsShown = TOOLS_WITH_OPTIONS.some(tool => tool !== 'spotlight' && this.isToolActive(tool));
+  spotlightOptions.hidden = !this.isToolActive('spotlight') && (otherOptionsShown || !selected);
+  if (spotlightOptions.hidden) return;
+
+  const settings = { ...this.spotlight, ...(this.getSpotlight() || {}) };
+  spotlightOptions.querySelectorAll('[data-spotlight-shape]').forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.spotlightShape === this.spotlight.shape));
+  });
+  spotlightOptions.querySelectorAll('[data-spotlight-effect]').forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.spotlightEffect === settings.effect));
+  });
+  document.getElementById('spotlightShapeField').hidden = !this.isToolActive('spotlight');
+  document.getElementById('spotlightDimField').hidden = settings.effect === 'blur';
+  document.getElementById('spotlightBlurField').hidden = settings.effect !== 'blur';
+  document.getElementById('spotlightDim').value = String(settings.dim);
+  document.getElementById('spotlightBlur').value = String(settings.blur);
+}
+
+/**
+ * Sizes the canvas bitmap to the current view (the crop, or the whole image
+ * while cropping or when uncropped), redraws it and updates the controls
+ * that depend on the document. Must be called whenever the crop, the crop
+ * tool or the image dimensions change.
+ */
+export function updateCanvasView() {
+  if (!this.canvas || !this.offscreenCanvas) return;
+  const view = this.getViewRect();
+  if (this.canvas.width !== view.width || this.canvas.height !== view.height) {
+    this.canvas.width = view.width;
+    this.canvas.height = view.height;
+  }
+  this.updateCanvasDisplaySize();
+  this.redrawCanvas();
+  this.updateCropControls();
+  this.updateSensitiveControls();
+}
+
+/**
+ * Enables the "reset crop" button only while the image is cropped.
+ */
+export function updateCropControls() {
+  const resetButton = document.getElementById('resetCropTool');
+  if (resetButton) resetButton.disabled = !this.canvasState.crop;
+}
+
+/**
+ * Recomputes the canvas's on-screen (CSS) size: the zoom level if one is set
+ * (the container scrolls), otherwise so the current bitmap fits the container
+ * while preserving its aspect ratio. Must be called whenever the bitmap
+ * dimensions change (initial load, crop), the zoom changes or the window resizes.
  */
 export function updateCanvasDisplaySize() {
   if (!this.canvas || this.canvas.width === 0 || this.canvas.height === 0) return;
@@ -246,18 +612,34 @@ export function updateCanvasDisplaySize() {
   const containerRect = containerElement ? containerElement.getBoundingClientRect() : { width: window.innerWidth, height: window.innerHeight - this.config.toolbarHeight };
   const availableWidth = containerRect.width - 48; // Account for padding
   const availableHeight = containerRect.height - 48;
-  const scale = Math.min(availableWidth / this.canvas.width, availableHeight / this.canvas.height, 1); // Only scale down
+  const fitScale = Math.min(availableWidth / this.canvas.width, availableHeight / this.canvas.height, 1); // Only scale down
+  const scale = this.viewport.zoom ?? fitScale;
+  if (containerElement) {
+    containerElement.classList.toggle('is-zoomed', this.viewport.zoom !== null);
+    if (this.viewport.zoom === null) containerElement.scrollTo(0, 0); // Fitted, nothing to scroll
+  }
   this.canvas.style.width = `${this.canvas.width * scale}px`;
   this.canvas.style.height = `${this.canvas.height * scale}px`;
   this.updateCanvasRect();
+  this.updateZoomControls();
+  if (this.activeTextInput) this.styleTextInput();
 }
 
 /**
- * Updates the cached canvas bounding rectangle.
+ * Updates the cached on-screen rectangle of the canvas bitmap (inside its CSS
+ * border, so positions map exactly onto image pixels at any zoom level).
  */
 export function updateCanvasRect() {
   if (this.canvas) {
-    this.ui.canvasRect = this.canvas.getBoundingClientRect();
+    const rect = this.canvas.getBoundingClientRect();
+    const borderX = this.canvas.clientLeft;
+    const borderY = this.canvas.clientTop;
+    this.ui.canvasRect = {
+      left: rect.left + borderX,
+      top: rect.top + borderY,
+      width: rect.width - borderX * 2,
+      height: rect.height - borderY * 2
+    };
     const toolbarElement = document.querySelector('.toolbar');
     this.config.toolbarHeight = toolbarElement ? toolbarElement.offsetHeight : 56;
   }
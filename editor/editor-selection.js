@@ -0,0 +1,270 @@
+import { rectFromCorners } from './editor-utils.js';
+
+// Marks annotations copied to the clipboard, so another editor tab can paste them
+const CLIPBOARD_FORMAT = 'snipscreen/annotations';
+
+// Element types that can be pasted, with the numeric fields each needs to be
+// drawn; redactions are permanent and stay put
+const PASTEABLE_FIELDS = {
+  arrow: ['x1', 'y1', 'x2', 'y2'],
+  line: ['x1', 'y1', 'x2', 'y2', 'lineWidth'],
+  box: ['x', 'y', 'width', 'height', 'lineWidth'],
+  ellipse: ['x', 'y', 'width', 'height', 'lineWidth'],
+  pen: ['lineWidth'],
+  highlight: ['lineWidth'],
+  text: ['x', 'y', 'fontSize'],
+  step: ['x', 'y', 'size'],
+  callout: ['x', 'y', 'width', 'height', 'fontSize', 'lineWidth'],
+  magnifier: ['x', 'y', 'zoom', 'lineWidth'],
+  spotlight: ['dim', 'blur']
+};
+
+const isPoint = p => Boolean(p) && Number.isFinite(p.x) && Number.isFinite(p.y);
+const isRect = r => isPoint(r) && Number.isFinite(r.width) && Number.isFinite(r.height);
+
+// Whether a pasted element has everything rendering it relies on (clipboard
+// contents can come from anywhere, not just an editor tab)
+function isValidPastedElement(el) {
+  if (!PASTEABLE_FIELDS[el.type].every(field => Number.isFinite(el[field]))) return false;
+  if (el.opacity != null && !Number.isFinite(el.opacity)) return false;
+  switch (el.type) {
+    case 'pen':
+    case 'highlight':
+      return Array.isArray(el.points) && el.points.length > 0 && el.points.every(isPoint);
+    case 'text':
+      return typeof el.text === 'string' && el.text.length > 0;
+    case 'step':
+      return el.target == null || isPoint(el.target);
+    case 'callout':
+      return typeof el.text === 'string' && isPoint(el.tail);
+    case 'magnifier':
+      return isRect(el.source);
+    case 'spotlight':
+      return Array.isArray(el.regions) && el.regions.length > 0 && el.regions.every(isRect);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Selects the given elements, plus the rest of any group they belong to.
+ * state.selected is set too when exactly one element ends up selected, so
+ * its handles and options show.
+ */
+export function setSelection(elements) {
+  const groupIds = new Set(elements.map(el => el.groupId).filter(Boolean));
+  const selection = this.elements.annotationElements.filter(el =>
+    el.type !== 'rect' && (elements.includes(el) || (el.groupId && groupIds.has(el.groupId))));
+  const changed = selection.length !== this.state.selection.length ||
+                  selection.some((el, i) => el !== this.state.selection[i]);
+  this.state.selection = selection;
+  this.state.selected = selection.length === 1 ? selection[0] : null;
+  if (changed) this.updateSelectionOptions();
+}
+
+/**
+ * Deselects everything.
+ * @returns {boolean} True if anything was selected (so a redraw is due).
+ */
+export function clearSelection() {
+  const hadSelection = this.state.selection.length > 0;
+  this.setSelection([]);
+  return hadSelection;
+}
+
+/**
+ * Adds an element (and its group) to the selection, or removes it if it is
+ * already selected (Shift+click).
+ */
+export function toggleSelection(element) {
+  const members = element.groupId
+    ? this.elements.annotationElements.filter(el => el.groupId === element.groupId)
+    : [element];
+  const selection = this.state.selection;
+  this.setSelection(selection.includes(element)
+    ? selection.filter(el => !members.includes(el))
+    : [...selection, ...members]);
+}
+
+/**
+ * Updates the selection while a rubber band is dragged out: everything lying
+ * entirely inside it is selected (added to the earlier selection with Shift).
+ */
+export function updateMarqueeSelection() {
+  const { start, end, base } = this.drawingState.marquee;
+  const rect = rectFromCorners(start, end);
+  const inside = this.elements.annotationElements.filter(el => {
+    if (el.type === 'rect') return false;
+    const b = this.getElementBounds(el);
+    return b.x >= rect.x && b.y >= rect.y && b.x + b.width <= rect.x + rect.width && b.y + b.height <= rect.y + rect.height;
+  });
+  this.setSelection([...base, ...inside]);
+}
+
+/**
+ * Removes every selected element, as one undo step.
+ */
+export function deleteSelection() {
+  const doomed = this.state.selection;
+  if (doomed.length === 0) return;
+  this.pushHistory();
+  this.elements.annotationElements = this.elements.annotationElements.filter(el => !doomed.includes(el));
+  this.clearSelection();
+  this.redrawCanvas();
+  this.updateSensitiveControls();
+  this.showToast(doomed.length === 1 ? 'Element deleted' : `${doomed.length} elements deleted`, false, 'info');
+}
+
+/**
+ * Brings the selected elements in front of all others, or sends them behind.
+ * Step badges keep their place, since their order is their numbering, and
+ * the spotlight is always drawn beneath the annotations anyway.
+ * @param {boolean} toFront - True for bring to front, false for send to back.
+ */
+export function arrangeSelection(toFront) {
+  const moving = this.state.selection.filter(el => el.type !== 'step' && el.type !== 'spotlight');
+  if (moving.length === 0) return;
+  this.pushHistory();
+  const rest = this.elements.annotationElements.filter(el => !moving.includes(el));
+  this.elements.annotationElements = toFront ? [...rest, ...moving] : [...moving, ...rest];
+  this.redrawCanvas();
+  this.updateSensitiveControls();
+  this.showToast(toFront ? 'Brought to front' : 'Sent to back', false, 'info');
+}
+
+/**
+ * Groups the selected elements, so clicking any of them selects (and moves)
+ * them all.
+ */
+export function groupSelection() {
+  const selection = this.state.selection;
+  if (selection.length < 2) {
+    this.showToast('Select two or more annotations to group them.', false, 'info');
+    return;
+  }
+  this.pushHistory();
+  const groupId = `group-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+  selection.forEach(el => { el.groupId = groupId; });
+  this.redrawCanvas();
+  this.showToast(`Grouped ${selection.length} annotations`, false, 'success');
+}
+
+/**
+ * Splits the groups in the selection back into separate elements (which
+ * stay selected).
+ */
+export function ungroupSelection() {
+  const grouped = this.state.selection.filter(el => el.groupId);
+  if (grouped.length === 0) return;
+  this.pushHistory();
+  grouped.forEach(el => { delete el.groupId; });
+  this.redrawCanvas();
+  this.showToast('Ungrouped', false, 'info');
+}
+
+/**
+ * Serializes the selection as JSON for the clipboard. The copy is remembered,
+ * so pasting it repeatedly in this tab steps each paste further along.
+ * @returns {string|null} The JSON, or null when nothing is selected.
+ */
+export function copySelection() {
+  if (this.state.selection.length === 0) return null;
+  const json = JSON.stringify({ format: CLIPBOARD_FORMAT, version: 1, elements: this.state.selection });
+  this.lastCopy = { json, pastes: 0 };
+  return json;
+}
+
+/**
+ * Pastes annotations copied from this or another editor tab. Copied
+ * annotations that are malformed are rejected as a whole.
+ * @param {string} text - Plain-text clipboard contents.
+ * @returns {boolean} False if the text isn't copied annotations.
+ */
+export function pasteClipboardText(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return false; // Not JSON, so not ours
+  }
+  if (!data || data.format !== CLIPBOARD_FORMAT || !Array.isArray(data.elements)) return false;
+  const elements = data.elements.filter(el => el && Object.hasOwn(PASTEABLE_FIELDS, el.type));
+  if (elements.length === 0) return false;
+  if (!elements.every(isValidPastedElement)) {
+    this.showToast("The copied annotations are damaged and can't be pasted.", false, 'error');
+    return true;
+  }
+
+  // Pasted over their originals, copies would be invisible; from another tab
+  // they land where they were
+  let offset = 0;
+  if (this.lastCopy && this.lastCopy.json === text) {
+    this.lastCopy.pastes++;
+    offset = this.lastCopy.pastes * this.getHitTolerance() * 2;
+  }
+  const pasted = this.pasteAnnotations(elements, offset);
+  this.showToast(pasted === 1 ? 'Annotation pasted' : `${pasted} annotations pasted`, false, 'success');
+  return true;
+}
+
+/**
+ * Duplicates the selection, slightly offset (Ctrl/Cmd+D).
+ */
+export function duplicateSelection() {
+  if (this.state.selection.length === 0) return;
+  const count = this.pasteAnnotations(this.state.selection, this.getHitTolerance() * 2);
+  this.showToast(count === 1 ? 'Annotation duplicated' : `${count} annotations duplicated`, false, 'success');
+}
+
+/**
+ * Adds copies of elements, moved by offset, as one undo step, and selects
+ * them. Copies that would land outside the view are centered in it instead.
+ * A pasted spotlight's regions join the existing spotlight, if any.
+ * @returns {number} How many elements were pasted.
+ */
+export function pasteAnnotations(elements, offset) {
+  const copies = structuredClone(elements);
+  // Fresh ids; copied groups stay grouped, but apart from their originals
+  const groupIds = new Map();
+  copies.forEach(el => {
+    el.id = `${el.type}-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+    if (el.groupId) {
+      if (!groupIds.has(el.groupId)) groupIds.set(el.groupId, `group-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`);
+      el.groupId = groupIds.get(el.groupId);
+    }
+  });
+
+  const bounds = copies.map(el => this.getElementBounds(el)).reduce((a, b) => {
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return { x, y, width: Math.max(a.x + a.width, b.x + b.width) - x, height: Math.max(a.y + a.height, b.y + b.height) - y };
+  });
+  const view = this.getViewRect();
+  let dx = offset;
+  let dy = offset;
+  const inView = bounds.x + dx < view.x + view.width && bounds.x + bounds.width + dx > view.x &&
+                 bounds.y + dy < view.y + view.height && bounds.y + bounds.height + dy > view.y;
+  if (!inView) {
+    dx = view.x + (view.width - bounds.width) / 2 - bounds.x;
+    dy = view.y + (view.height - bounds.height) / 2 - bounds.y;
+  }
+  copies.forEach(el => this.translateElement(el, el, dx, dy, true));
+
+  this.pushHistory();
+  let spotlight = this.getSpotlight();
+  const added = [];
+  copies.forEach(el => {
+    if (el.type === 'spotlight' && spotlight) {
+      spotlight.regions.push(...el.regions);
+      added.push(spotlight);
+    } else {
+      this.elements.annotationElements.push(el);
+      added.push(el);
+      if (el.type === 'spotlight') spotlight = el;
+    }
+  });
+  this.setSelection(added);
+  this.redrawCanvas();
+  this.updateSensitiveControls();
+  return copies.length;
+}
@@ -0,0 +1,111 @@
+// How each kind of detected data is named in messages: [singular, plural]
+const SENSITIVE_KIND_LABELS = {
+  email: ['email address', 'email addresses'],
+  apiKey: ['API key', 'API keys'],
+  card: ['card number', 'card numbers'],
+  phone: ['phone number', 'phone numbers'],
+  password: ['password', 'passwords']
+};
+
+/**
+ * Returns the detected sensitive regions that no redaction fully covers yet.
+ * @param {boolean} [exportedOnly=false] - Only those (partly) inside the crop.
+ */
+export function getUncoveredSensitiveRegions(exportedOnly = false) {
+  const redactions = this.elements.annotationElements.filter(element => element.type === 'rect');
+  const crop = this.canvasState.crop;
+  return this.sensitiveRegions.filter(region => {
+    if (exportedOnly && crop && !rectsIntersect(region, crop)) return false;
+    return !redactions.some(redaction => rectContains(redaction, region));
+  });
+}
+
+function rectContains(outer, inner) {
+  return inner.x >= outer.x - 1 && inner.y >= outer.y - 1 &&
+         inner.x + inner.width <= outer.x + outer.width + 1 &&
+         inner.y + inner.height <= outer.y + outer.height + 1;
+}
+
+function rectsIntersect(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Outlines the suggestions that still need redacting (visible canvas only,
+ * never exported).
+ */
+export function drawSensitiveOverlay(ctx) {
+  const regions = this.getUncoveredSensitiveRegions();
+  if (regions.length === 0) return;
+  const lineWidth = Math.max(1.5, this.getHitTolerance() * 0.2);
+  ctx.save();
+  ctx.fillStyle = 'rgba(255, 149, 0, 0.15)';
+  ctx.strokeStyle = '#FF9500';
+  ctx.lineWidth = lineWidth;
+  ctx.setLineDash([lineWidth * 3, lineWidth * 2]);
+  regions.forEach(region => {
+    ctx.fillRect(region.x, region.y, region.width, region.height);
+    ctx.strokeRect(region.x, region.y, region.width, region.height);
+  });
+  ctx.restore();
+}
+
+/**
+ * Enables the "redact suggestions" button only while some suggestion is
+ * still uncovered.
+ */
+export function updateSensitiveControls() {
+  const button = document.getElementById('redactSuggestionsTool');
+  if (button) button.disabled = this.getUncoveredSensitiveRegions().length === 0;
+}
+
+/**
+ * Covers every uncovered suggestion with a black redaction box, as one undo step.
+ */
+export function redactSuggestions() {
+  const regions = this.getUncoveredSensitiveRegions();
+  if (regions.length === 0) {
+    this.showToast('No detected sensitive data left to redact.', false, 'info');
+    return;
+  }
+  this.pushHistory();
+  regions.forEach(region => {
+    this.elements.annotationElements.push({
+      type: 'rect',
+      id: `anno-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+      x: region.x, y: region.y, width: region.width, height: region.height,
+      color: '#000000', mode: 'fill'
+    });
+  });
+  this.redrawCanvas();
+  this.updateSensitiveControls();
+  this.showToast(`Redacted ${describeSensitiveRegions(regions)}`, false, 'success');
+}
+
+/**
+ * Asks before exporting an image that still shows detected sensitive data.
+ * @param {string} action - What is about to happen, e.g. 'Save' or 'Copy'.
+ * @returns {boolean} True if there is nothing to warn about or the user
+ *          chose to continue anyway.
+ */
+export function confirmSensitiveExport(action) {
+  const regions = this.getUncoveredSensitiveRegions(true);
+  if (regions.length === 0) return true;
+  return window.confirm(
+    `This screenshot still shows ${describeSensitiveRegions(regions)} that may be sensitive.\n\n` +
+    `${action} it anyway? Choose Cancel to go back and redact them (they're outlined in orange).`
+  );
+}
+
+/**
+ * Summarizes regions by kind, e.g. "2 email addresses and 1 API key".
+ */
+function describeSensitiveRegions(regions) {
+  const counts = new Map();
+  regions.forEach(({ kind }) => counts.set(kind, (counts.get(kind) || 0) + 1));
+  const parts = [...counts].map(([kind, count]) => {
+    const [singular, plural] = SENSITIVE_KIND_LABELS[kind] || ['item', 'items'];
+    return `${count} ${count === 1 ? singular : plural}`;
+  });
+  return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+}
@@ -0,0 +1,161 @@
+// Spacing of the snap grid, in image pixels
+const GRID_SIZE = 20;
+
+/**
+ * Wires up the snap-to-grid toolbar toggle.
+ */
+export function initializeSnapControls() {
+  const button = document.getElementById('gridTool');
+  if (!button) {
+    console.warn("Snap-to-grid toggle not found.");
+    return;
+  }
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    this.toggleSnapGrid();
+  });
+}
+
+/**
+ * Turns snap-to-grid on or off (Ctrl/Cmd+'). While it's on, moved elements
+ * snap to the grid instead of to each other.
+ */
+export function toggleSnapGrid() {
+  this.snapping.grid = !this.snapping.grid;
+  const button = document.getElementById('gridTool');
+  if (button) {
+    button.classList.toggle('active', this.snapping.grid);
+    button.setAttribute('aria-pressed', String(this.snapping.grid));
+  }
+  this.redrawCanvas();
+  this.showToast(this.snapping.grid ? 'Snap to grid on' : 'Snap to grid off', false, 'info');
+}
+
+/**
+ * Adjusts a move so the moved elements line up: with the grid when it's on,
+ * otherwise their edges or centers with those of other elements and of the
+ * visible image, when within a few screen pixels. Records the guide lines
+ * to show for the alignment found.
+ * @param {object} drag - state.dragging of a body move.
+ * @param {number} dx - Raw horizontal move since the drag started.
+ * @param {number} dy - Raw vertical move since the drag started.
+ * @param {boolean} free - Skip snapping (Alt held).
+ * @returns {{dx: number, dy: number}} The move to apply.
+ */
+export function snapMove(drag, dx, dy, free) {
+  this.snapping.guides = [];
+  if (free) return { dx, dy };
+
+  const moving = drag.originals ? [...drag.originals] : [[this.state.selected, drag.original]];
+  const box = unionBounds(moving.map(([, original]) => this.getMovedBounds(original, Boolean(drag.originals))));
+  const moved = { ...box, x: box.x + dx, y: box.y + dy };
+  if (this.snapping.grid) {
+    return {
+      dx: dx + Math.round(moved.x / GRID_SIZE) * GRID_SIZE - moved.x,
+      dy: dy + Math.round(moved.y / GRID_SIZE) * GRID_SIZE - moved.y
+    };
+  }
+
+  const view = this.getViewRect();
+  const targets = { x: lines(view.x, view.width), y: lines(view.y, view.height) };
+  const movingElements = moving.map(([element]) => element);
+  this.elements.annotationElements.forEach(el => {
+    if (movingElements.includes(el)) return;
+    // Each spotlight region lines up on its own
+    const boxes = el.type === 'spotlight' ? el.regions : [this.getElementBounds(el)];
+    boxes.forEach(b => {
+      targets.x.push(...lines(b.x, b.width));
+      targets.y.push(...lines(b.y, b.height));
+    });
+  });
+
+  const threshold = this.getHitTolerance() * 0.8;
+  const edgesX = lines(moved.x, moved.width);
+  const edgesY = lines(moved.y, moved.height);
+  const snapX = closestSnap(edgesX, targets.x, threshold);
+  const snapY = closestSnap(edgesY, targets.y, threshold);
+
+  // Guides at every line the moved box now lines up with
+  const aligned = (edges, snap, targetLines) => [...new Set(targetLines.filter(t => edges.some(edge => Math.abs(edge + snap - t) < 0.5)))];
+  if (snapX !== null) aligned(edgesX, snapX, targets.x).forEach(at => this.snapping.guides.push({ axis: 'x', at }));
+  if (snapY !== null) aligned(edgesY, snapY, targets.y).forEach(at => this.snapping.guides.push({ axis: 'y', at }));
+  return { dx: dx + (snapX || 0), dy: dy + (snapY || 0) };
+}
+
+// Start, center and end of a box along one axis
+function lines(start, size) {
+  return [start, start + size / 2, start + size];
+}
+
+// Smallest shift (within threshold) that puts one of edges on one of targets, or null
+function closestSnap(edges, targets, threshold) {
+  let best = null;
+  edges.forEach(edge => targets.forEach(target => {
+    const delta = target - edge;
+    if (Math.abs(delta) <= threshold && (best === null || Math.abs(delta) < Math.abs(best))) best = delta;
+  }));
+  return best;
+}
+
+function unionBounds(boxes) {
+  return boxes.reduce((a, b) => {
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return { x, y, width: Math.max(a.x + a.width, b.x + b.width) - x, height: Math.max(a.y + a.height, b.y + b.height) - y };
+  });
+}
+
+/**
+ * Moves the selection by a few pixels (arrow keys).
+ * @param {boolean} record - Add an undo step; a held-down key repeats
+ *        without one, so the whole nudge undoes at once.
+ */
+export function nudgeSelection(dx, dy, record) {
+  const selection = this.state.selection;
+  if (selection.length === 0) return;
+  if (record) this.pushHistory();
+  selection.forEach(el => this.translateElement(el, el, dx, dy, selection.length > 1));
+  this.redrawCanvas();
+  this.updateSensitiveControls();
+}
+
+/**
+ * Draws the snap grid (when on) and the alignment guides of the current move
+ * on the visible canvas only (never part of the exported image).
+ */
+export function drawSnapOverlay(ctx) {
+  const { grid, guides } = this.snapping;
+  if (!grid && guides.length === 0) return;
+  const view = this.getViewRect();
+  const lineWidth = Math.max(1, this.getHitTolerance() * 0.1);
+  ctx.save();
+  ctx.lineWidth = lineWidth;
+  if (grid) {
+    ctx.beginPath();
+    for (let x = Math.ceil(view.x / GRID_SIZE) * GRID_SIZE; x <= view.x + view.width; x += GRID_SIZE) {
+      ctx.moveTo(x, view.y);
+      ctx.lineTo(x, view.y + view.height);
+    }
+    for (let y = Math.ceil(view.y / GRID_SIZE) * GRID_SIZE; y <= view.y + view.height; y += GRID_SIZE) {
+      ctx.moveTo(view.x, y);
+      ctx.lineTo(view.x + view.width, y);
+    }
+    ctx.strokeStyle = 'rgba(0, 122, 255, 0.18)';
+    ctx.stroke();
+  }
+  if (guides.length) {
+    ctx.beginPath();
+    guides.forEach(({ axis, at }) => {
+      if (axis === 'x') {
+        ctx.moveTo(at, view.y);
+        ctx.lineTo(at, view.y + view.height);
+      } else {
+        ctx.moveTo(view.x, at);
+        ctx.lineTo(view.x + view.width, at);
+      }
+    });
+    ctx.strokeStyle = '#FF2D92';
+    ctx.stroke();
+  }
+  ctx.restore();
+}
@@ -0,0 +1,193 @@
+// Style for new annotations until the user picks their own. Stroke and text
+// sizes are multipliers of the resolution-based defaults (defaultArrowWidth /
+// defaultFontSize), so a preference carries over between small and retina captures.
+export const DEFAULT_ANNOTATION_STYLE = {
+  color: '#FF3B30',
+  strokeScale: 1,
+  fontScale: 1,
+  opacity: 1
+};
+
+// Colors offered as swatches in the style panel
+const STYLE_PALETTE = ['#FF3B30', '#FF9500', '#FFCC00', '#34C759', '#007AFF', '#AF52DE', '#000000', '#FFFFFF'];
+
+/**
+ * Builds the style panel (palette, custom color and the size/opacity
+ * sliders), wires its toggle button and loads the saved preferences.
+ */
+export function initializeStylePanel() {
+  const panel = document.getElementById('stylePanel');
+  const toggle = document.getElementById('styleTool');
+  if (!panel || !toggle) {
+    console.warn("Style panel not found.");
+    return;
+  }
+
+  const palette = document.getElementById('stylePalette');
+  palette.replaceChildren(...STYLE_PALETTE.map(color => {
+    const swatch = document.createElement('button');
+    swatch.type = 'button';
+    swatch.className = 'style-swatch';
+    swatch.dataset.color = color;
+    swatch.style.background = color;
+    swatch.setAttribute('aria-label', `Color ${color}`);
+    swatch.addEventListener('click', () => this.setAnnotationStyle({ color }, true));
+    return swatch;
+  }));
+
+  document.getElementById('styleCustomColor').addEventListener('input', (event) => {
+    this.setAnnotationStyle({ color: event.target.value.toUpperCase() }, false);
+  });
+  const sliders = { styleStroke: 'strokeScale', styleFont: 'fontScale', styleOpacity: 'opacity' };
+  for (const [id, key] of Object.entries(sliders)) {
+    const slider = document.getElementById(id);
+    // Live while dragging; one undo step and one save once released
+    slider.addEventListener('input', () => this.setAnnotationStyle({ [key]: Number(slider.value) }, false));
+    slider.addEventListener('change', () => this.commitStyleChange());
+  }
+  document.getElementById('styleCustomColor').addEventListener('change', () => this.commitStyleChange());
+
+  toggle.addEventListener('click', () => {
+    this.closeTransformPanel();
+    this.closeFramePanel();
+    panel.hidden = !panel.hidden;
+    toggle.classList.toggle('active', !panel.hidden);
+  });
+
+  this.updateStylePanel();
+  this.loadAnnotationStyle();
+}
+
+/**
+ * Hides the style panel (clicking outside it or pressing Escape).
+ */
+export function closeStylePanel() {
+  const panel = document.getElementById('stylePanel');
+  if (!panel || panel.hidden) return;
+  panel.hidden = true;
+  document.getElementById('styleTool')?.classList.remove('active');
+}
+
+/**
+ * Loads the user's last-used style from chrome.storage.sync.
+ */
+export async function loadAnnotationStyle() {
+  try {
+    const { annotationStyle } = await chrome.storage.sync.get({ annotationStyle: DEFAULT_ANNOTATION_STYLE });
+    this.annotationStyle = { ...DEFAULT_ANNOTATION_STYLE, ...annotationStyle };
+    this.updateStylePanel();
+  } catch (error) {
+    console.warn("Failed to load annotation style:", error);
+  }
+}
+
+/**
+ * Changes the style for new annotations and applies it to the selected ones.
+ * @param {object} changes - Some of {color, strokeScale, fontScale, opacity}.
+ * @param {boolean} commit - Record the undo step and save the preference now,
+ *        rather than when the slider/color picker is released.
+ */
+export function setAnnotationStyle(changes, commit) {
+  Object.assign(this.annotationStyle, changes);
+  // Redactions and the spotlight aren't styled annotations
+  const targets = this.state.selection.filter(el => el.type !== 'rect' && el.type !== 'spotlight');
+  if (targets.length) {
+    if (!this.styleEditSnapshot) this.styleEditSnapshot = this.createHistorySnapshot();
+    targets.forEach(el => this.applyStyleToElement(el, changes));
+    this.redrawCanvas();
+  }
+  this.updateStylePanel();
+  if (commit) this.commitStyleChange();
+}
+
+/**
+ * Finishes a style change: records it as one undo step if it changed the
+ * selection, and remembers the style for next time.
+ */
+export function commitStyleChange() {
+  if (this.styleEditSnapshot) {
+    this.pushHistory(this.styleEditSnapshot);
+    this.styleEditSnapshot = null;
+  }
+  chrome.storage.sync.set({ annotationStyle: this.annotationStyle }).catch(error => {
+    console.warn("Failed to save annotation style:", error);
+  });
+}
+
+/**
+ * Applies the changed style properties to an existing element, converting
+ * the size multipliers to the element's own units.
+ */
+export function applyStyleToElement(element, changes) {
+  if ('color' in changes && element.type !== 'highlight') element.color = changes.color;
+  if ('opacity' in changes) {
+    element.opacity = element.type === 'highlight' ? 0.6 * changes.opacity : changes.opacity;
+  }
+  if ('strokeScale' in changes) {
+    if (element.type === 'arrow') element.width = this.currentStrokeWidth();
+    else if (element.type === 'highlight') element.lineWidth = this.currentHighlightWidth();
+    else if ('lineWidth' in element) element.lineWidth = this.currentStrokeWidth();
+  }
+  if ('fontScale' in changes) {
+    if (element.type === 'text' || element.type === 'callout') element.fontSize = this.currentFontSize();
+    else if (element.type === 'step') element.size = this.currentFontSize();
+  }
+}
+
+/**
+ * Changes the layout of new text, and of the text being typed or the
+ * selected text element (as one undo step).
+ * @param {object} changes - Some of {align, fontFamily, fontWeight, background}.
+ */
+export function setTextStyle(changes) {
+  Object.assign(this.textStyle, changes);
+  const selected = this.state.selected;
+  if (this.activeTextInput) {
+    Object.assign(this.activeTextInput.style, changes);
+    this.styleTextInput();
+    this.activeTextInput.input.focus({ preventScroll: true });
+  } else if (selected && selected.type === 'text') {
+    const before = this.createHistorySnapshot();
+    Object.assign(selected, changes);
+    this.pushHistory(before);
+    this.redrawCanvas();
+  }
+  this.updateTextOptions();
+}
+
+/** Stroke width for new arrows, shapes and pen strokes. */
+export function currentStrokeWidth() {
+  return Math.max(1, Math.round(this.defaultArrowWidth() * this.annotationStyle.strokeScale));
+}
+
+/** Stroke width for new highlighter strokes (about a line of text tall). */
+export function currentHighlightWidth() {
+  return Math.max(4, Math.round(this.defaultFontSize() * 0.9 * this.annotationStyle.strokeScale));
+}
+
+/** Font size for new text and step badges. */
+export function currentFontSize() {
+  return Math.max(10, Math.round(this.defaultFontSize() * this.annotationStyle.fontScale));
+}
+
+/**
+ * Reflects the current style in the panel and on its toolbar button.
+ */
+export function updateStylePanel() {
+  const style = this.annotationStyle;
+  document.querySelectorAll('#stylePalette .style-swatch').forEach(swatch => {
+    swatch.setAttribute('aria-pressed', String(swatch.dataset.color === style.color));
+  });
+  const fields = {
+    styleCustomColor: style.color,
+    styleStroke: style.strokeScale,
+    styleFont: style.fontScale,
+    styleOpacity: style.opacity
+  };
+  for (const [id, value] of Object.entries(fields)) {
+    const input = document.getElementById(id);
+    if (input) input.value = String(value);
+  }
+  const swatch = document.getElementById('styleToolSwatch');
+  if (swatch) swatch.style.background = style.color;
+}
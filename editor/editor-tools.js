@@ -1,7 +1,13 @@
+// Import the geometry utilities used to build shapes
+import { rectFromCorners, snapToAngle } from './editor-utils.js';
+
+// Mutually exclusive drawing/interaction tools
+export const DRAWING_TOOLS = ['crop', 'annotate', 'shape', 'draw', 'step', 'callout', 'magnify', 'spotlight', 'arrow', 'text'];
+
 /**
- * Toggles the active state of a tool (e.g., crop, annotate, text, arrow).
+ * Toggles the active state of a tool (e.g., crop, annotate, shape, draw, step, callout, magnify, spotlight, text, arrow).
  * Deactivates other mutually exclusive tools.
- * @param {'crop' | 'annotate' | 'text' | 'arrow'} tool - The name of the tool to toggle.
+ * @param {'crop' | 'annotate' | 'shape' | 'draw' | 'step' | 'callout' | 'magnify' | 'spotlight' | 'text' | 'arrow'} tool - The name of the tool to toggle.
  */
 export function toggleTool(tool) {
   const toolElement = document.getElementById(`${tool}Tool`);
@@ -10,16 +16,13 @@ export function toggleTool(tool) {
     return;
   }
 
-  // Define mutually exclusive drawing/interaction tools
-  const drawingTools = ['crop', 'annotate', 'arrow', 'text'];
-  const otherDrawingTools = drawingTools.filter(t => t !== tool);
+  const otherDrawingTools = DRAWING_TOOLS.filter(t => t !== tool);
+
+  const wasCropping = this.isToolActive('crop');
 
   // Commit any open text input and clear the selection when switching tools
   if (this.activeTextInput) this.commitTextInput();
-  if (this.state.selected) {
-    this.state.selected = null;
-    this.redrawCanvas();
-  }
+  if (this.clearSelection()) this.redrawCanvas();
 
   // If the clicked tool is already active, deactivate it.
   if (this.isToolActive(tool)) {
@@ -31,16 +34,16 @@ export function toggleTool(tool) {
     this.animateToolActivation(`${tool}Tool`, false);
     
     // Reset cursor only if NO other drawing tool remains active
-    const anyDrawingToolActive = drawingTools.some(t => this.isToolActive(t));
+    const anyDrawingToolActive = DRAWING_TOOLS.some(t => this.isToolActive(t));
     if (!anyDrawingToolActive && this.canvas) {
       this.canvas.style.cursor = 'default';
       // Reset canvas transform
       this.canvas.style.transform = '';
     }
 
-    // If deactivating crop, redraw to remove guides
+    // If deactivating crop, drop the selection and return to the cropped view
     if (tool === 'crop') {
-      this.redrawCanvas();
+      this.resetCropState();
     }
 
   } else {
@@ -68,112 +71,332 @@ export function toggleTool(tool) {
     this.animateToolActivation(`${tool}Tool`, true);
 
     // Set cursor and provide feedback
-    if (drawingTools.includes(tool)) {
+    if (DRAWING_TOOLS.includes(tool)) {
       if (this.canvas) {
         this.canvas.style.cursor = tool === 'text' ? 'text' : 'crosshair';
         // Add subtle canvas feedback
         this.canvas.style.transform = 'translateY(-1px) scale(1.002)';
       }
       const hints = {
-        crop: "Drag to select crop area.",
-        annotate: "Click and drag to draw rectangles.",
-        arrow: "Drag to draw a red arrow.",
+        crop: this.canvasState.crop
+          ? "Drag the handles to adjust the crop, or drag a new area. Press Enter to crop, Esc to cancel."
+          : "Drag to select the area to keep, then press Enter to crop (Esc cancels).",
+        annotate: {
+          fill: "Drag to black out an area.",
+          pixelate: "Drag to pixelate an area.",
+          blur: "Drag to blur an area."
+        }[this.redaction.mode],
+        shape: {
+          box: "Drag to draw a red box. Hold Shift for a square.",
+          ellipse: "Drag to draw a red ellipse. Hold Shift for a circle.",
+          line: "Drag to draw a red line. Hold Shift to snap to 45°."
+        }[this.shape.kind],
+        draw: this.freehand.kind === 'highlight' ? "Drag over text to highlight it." : "Drag to draw freehand.",
+        step: "Click to place the next numbered step, or drag to point it at something.",
+        arrow: "Drag to draw a red arrow. Hold Shift to snap to 45°.",
         text: "Click anywhere on the image to type red text."
       };
       this.showToast(hints[tool], false, 'info');
     }
   }
+
+  this.updateToolOptions();
+
+  // Cropping shows the whole image with the current crop as an adjustable selection
+  if (wasCropping !== this.isToolActive('crop')) {
+    this.drawingState.cropStart = null;
+    this.drawingState.cropEnd = null;
+    this.drawingState.cropDrag = null;
+    this.updateCanvasView();
+    if (this.isToolActive('crop')) this.showCurrentCropSelection();
+  }
 }
 
 /**
- * Finalizes the crop operation based on the selected area.
- * Extracts the cropped section from the original high-resolution image.
- * Updates the main and offscreen canvases to the cropped, high-res data.
- * Adjusts positions AND SIZES of existing elements.
- * Exits cropOnlyMode if active.
+ * Builds the shape element dragged out from start to pos with the shape
+ * tool. With constrain (Shift held), boxes become squares, ellipses circles
+ * and lines snap to multiples of 45°.
  */
-export async function completeCrop() {
-  // Ensure prerequisites are met
-  if (!this.drawingState.cropStart || !this.drawingState.cropEnd || !this.isToolActive('crop') || !this.offscreenCanvas) {
-    console.warn("completeCrop prerequisites not met.");
-    this.resetCropState();
-    return;
+export function createShapeElement(start, pos, constrain = false) {
+  const kind = this.shape.kind;
+  const style = {
+    type: kind, color: this.annotationStyle.color, lineWidth: this.currentStrokeWidth(),
+    opacity: this.annotationStyle.opacity
+  };
+  if (kind === 'line') {
+    const end = constrain ? snapToAngle(start, pos) : pos;
+    return { ...style, x1: start.x, y1: start.y, x2: end.x, y2: end.y };
   }
+  const shape = { ...style, ...rectFromCorners(start, pos, constrain) };
+  if (kind === 'box') shape.radius = this.shape.rounded ? style.lineWidth * 3 : 0;
+  return shape;
+}
 
-  // The canvas bitmap and offscreen canvas share the same resolution, so the
-  // selection is already in source coordinates — crop 1:1 from the offscreen
-  // canvas (this also keeps consecutive crops correct).
-  const currentWidth = this.offscreenCanvas.width;
-  const currentHeight = this.offscreenCanvas.height;
-  if (currentWidth === 0 || currentHeight === 0) {
-    this.showToast("Error: Invalid canvas dimensions before crop.", false, 'error');
-    this.resetCropState();
-    return;
+/**
+ * Starts a freehand stroke (pen or highlighter, as chosen for the draw tool)
+ * at pos.
+ */
+export function createStrokeElement(pos) {
+  if (this.freehand.kind === 'highlight') {
+    return {
+      type: 'highlight', points: [pos], color: '#FFE600', opacity: 0.6 * this.annotationStyle.opacity,
+      lineWidth: this.currentHighlightWidth()
+    };
   }
+  return {
+    type: 'pen', points: [pos], color: this.annotationStyle.color, lineWidth: this.currentStrokeWidth(),
+    opacity: this.annotationStyle.opacity
+  };
+}
 
-  const startX = Math.min(this.drawingState.cropStart.x, this.drawingState.cropEnd.x);
-  const startY = Math.min(this.drawingState.cropStart.y, this.drawingState.cropEnd.y);
-  const cropWidth = Math.abs(this.drawingState.cropEnd.x - this.drawingState.cropStart.x);
-  const cropHeight = Math.abs(this.drawingState.cropEnd.y - this.drawingState.cropStart.y);
+/**
+ * Extends a stroke to pos. Points closer than a fraction of the stroke width
+ * to the previous one are dropped, which smooths out mouse jitter and keeps
+ * the stored path small.
+ */
+export function addStrokePoint(stroke, pos) {
+  const last = stroke.points[stroke.points.length - 1];
+  if (Math.hypot(pos.x - last.x, pos.y - last.y) < Math.max(2, stroke.lineWidth / 3)) return;
+  stroke.points.push({ x: pos.x, y: pos.y });
+}
 
-  // Clamp selection to canvas bounds
-  const sx = Math.max(0, Math.min(Math.round(startX), currentWidth - 1));
-  const sy = Math.max(0, Math.min(Math.round(startY), currentHeight - 1));
-  const sw = Math.max(1, Math.min(Math.round(cropWidth), currentWidth - sx));
-  const sh = Math.max(1, Math.min(Math.round(cropHeight), currentHeight - sy));
+/**
+ * Adds the stroke being drawn as an element, unless it's too short to be
+ * intentional (a stray click).
+ */
+export function finishStroke() {
+  const stroke = this.drawingState.stroke;
+  this.drawingState.stroke = null;
+  this.state.isDrawing = false;
+  if (stroke) {
+    const bounds = this.getElementBounds(stroke);
+    if (stroke.points.length > 1 && Math.hypot(bounds.width, bounds.height) > stroke.lineWidth + 4) {
+      stroke.id = `${stroke.type}-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+      this.pushHistory();
+      this.elements.annotationElements.push(stroke);
+    }
+  }
+  this.redrawCanvas();
+}
 
-  console.log(`Cropping canvas region: x=${sx}, y=${sy}, w=${sw}, h=${sh}`);
+/**
+ * Builds a step badge at start. If pos is clearly outside the badge, it gets
+ * a leader (arrow or line, as chosen for the step tool) pointing at pos.
+ */
+export function createStepElement(start, pos) {
+  const size = this.currentFontSize();
+  const step = {
+    type: 'step', x: start.x, y: start.y, size, color: this.annotationStyle.color,
+    opacity: this.annotationStyle.opacity, leader: this.stepLeader, target: null
+  };
+  if (Math.hypot(pos.x - start.x, pos.y - start.y) > size * 1.5) {
+    step.target = { x: pos.x, y: pos.y };
+  }
+  return step;
+}
 
-  if (sw <= 1 || sh <= 1) {
-    this.showToast("Crop area is too small.", false, 'error');
-    this.resetCropState();
-    return;
+/**
+ * Builds a callout whose bubble spans the dragged rectangle (or has a default
+ * size for a plain click), with its tail pointing down and to the left; the
+ * tip can be dragged anywhere afterwards.
+ */
+export function createCalloutElement(start, pos) {
+  const fontSize = this.currentFontSize();
+  let box = rectFromCorners(start, pos);
+  if (box.width < fontSize * 3 || box.height < fontSize * 1.5) {
+    box = { x: start.x, y: start.y, width: fontSize * 10, height: fontSize * 2.5 };
   }
+  return {
+    type: 'callout', ...box,
+    tail: { x: box.x + box.width * 0.2 - fontSize, y: box.y + box.height + fontSize * 2.5 },
+    text: '', fontSize,
+    color: this.annotationStyle.color, lineWidth: this.currentStrokeWidth(),
+    opacity: this.annotationStyle.opacity
+  };
+}
 
-  try {
-    // Copy the selected region out before resizing the offscreen canvas
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = sw;
-    tempCanvas.height = sh;
-    tempCanvas.getContext('2d').drawImage(this.offscreenCanvas, sx, sy, sw, sh, 0, 0, sw, sh);
-
-    // Resize editor canvases and draw the cropped region back
-    this.canvas.width = sw;
-    this.canvas.height = sh;
-    this.offscreenCanvas.width = sw;
-    this.offscreenCanvas.height = sh;
-    this.offscreenCtx.clearRect(0, 0, sw, sh);
-    this.offscreenCtx.drawImage(tempCanvas, 0, 0);
-    const newCanvasWidth = sw;
-    const newCanvasHeight = sh;
-
-    // Shift all annotation elements by the crop offset; drop ones now outside
-    this.state.selected = null;
-    this.elements.annotationElements = this.elements.annotationElements
-      .filter(Boolean)
-      .map(element => {
-        if (element.type === 'arrow') {
-          return { ...element, x1: element.x1 - sx, y1: element.y1 - sy, x2: element.x2 - sx, y2: element.y2 - sy };
-        }
-        return { ...element, x: element.x - sx, y: element.y - sy };
-      })
-      .filter(element => {
-        const b = this.getElementBounds(element);
-        return b.x + b.width > 0 && b.y + b.height > 0 && b.x < newCanvasWidth && b.y < newCanvasHeight;
-      });
+/**
+ * Builds a magnifier zooming into the dragged region (square for a round
+ * lens; a default-size region around start for a plain click). The lens goes
+ * beside the region, on whichever side of the view has more room, and can be
+ * dragged anywhere afterwards.
+ */
+export function createMagnifierElement(start, pos) {
+  const { shape, zoom, connector } = this.magnifier;
+  let source = rectFromCorners(start, pos, shape === 'circle');
+  if (source.width < 8 || source.height < 8) {
+    const side = Math.round(this.defaultFontSize() * 3);
+    source = { x: start.x - side / 2, y: start.y - side / 2, width: side, height: side };
+  }
+  const view = this.getViewRect();
+  const lensWidth = source.width * zoom;
+  const lensHeight = source.height * zoom;
+  const roomRight = view.x + view.width - (source.x + source.width);
+  const roomLeft = source.x - view.x;
+  const offset = source.width / 2 + this.currentStrokeWidth() * 6 + lensWidth / 2;
+  const x = source.x + source.width / 2 + (roomRight >= roomLeft ? offset : -offset);
+  const y = Math.min(Math.max(source.y + source.height / 2, view.y + lensHeight / 2), view.y + view.height - lensHeight / 2);
+  return {
+    type: 'magnifier', source, x, y, zoom, shape, connector,
+    color: this.annotationStyle.color, lineWidth: this.currentStrokeWidth(),
+    opacity: this.annotationStyle.opacity
+  };
+}
 
-    console.log("Adjusted annotation elements for crop.");
+/**
+ * Changes how new magnifiers look and applies the change to the selected
+ * magnifier (as one undo step).
+ * @param {object} changes - Some of {shape, zoom, connector}.
+ */
+export function setMagnifierOptions(changes) {
+  Object.assign(this.magnifier, changes);
+  const selected = this.state.selected;
+  if (selected && selected.type === 'magnifier') {
+    const before = this.createHistorySnapshot();
+    Object.assign(selected, changes);
+    this.pushHistory(before);
+    this.redrawCanvas();
+  }
+  this.updateMagnifierOptions();
+}
 
-    // Refit the display size to the new bitmap and update the rect cache
-    this.updateCanvasDisplaySize();
+/**
+ * Builds a spotlight region (rectangle or ellipse, as chosen for the tool)
+ * spanning the dragged rectangle; with constrain, a square or circle.
+ */
+export function createSpotlightRegion(start, pos, constrain = false) {
+  return { shape: this.spotlight.shape, ...rectFromCorners(start, pos, constrain) };
+}
+
+/**
+ * Builds a spotlight with a single region and the tool's current effect.
+ */
+export function createSpotlightElement(region) {
+  const { effect, dim, blur } = this.spotlight;
+  return { type: 'spotlight', regions: [region], effect, dim, blur };
+}
+
+/**
+ * Adds a region to the document's spotlight, creating the spotlight with
+ * the first one. There is only ever one spotlight, so that regions light up
+ * together rather than darkening each other.
+ */
+export function addSpotlightRegion(region) {
+  this.pushHistory();
+  const spotlight = this.getSpotlight();
+  if (spotlight) {
+    spotlight.regions.push(region);
+  } else {
+    const element = this.createSpotlightElement(region);
+    element.id = `spotlight-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+    this.elements.annotationElements.push(element);
+  }
+  this.showToast(spotlight ? 'Spotlight region added' : 'Spotlight added', false, 'success');
+}
+
+/**
+ * Changes the spotlight settings and applies the effect settings to the
+ * document's spotlight.
+ * @param {object} changes - Some of {shape, effect, dim, blur}.
+ * @param {boolean} [commit=true] - Record the undo step now, rather than
+ *        when the slider being dragged is released (see commitSpotlightChange).
+ */
+export function setSpotlightOptions(changes, commit = true) {
+  Object.assign(this.spotlight, changes);
+  const spotlight = this.getSpotlight();
+  const { shape, ...effectChanges } = changes;
+  if (spotlight && Object.keys(effectChanges).length > 0) {
+    if (!this.spotlightEditSnapshot) this.spotlightEditSnapshot = this.createHistorySnapshot();
+    Object.assign(spotlight, effectChanges);
     this.redrawCanvas();
-    this.showToast("Crop completed successfully!", false, 'success');
+  }
+  if (commit) this.commitSpotlightChange();
+  this.updateSpotlightOptions();
+}
+
+/**
+ * Records a finished spotlight change as one undo step.
+ */
+export function commitSpotlightChange() {
+  if (this.spotlightEditSnapshot) {
+    this.pushHistory(this.spotlightEditSnapshot);
+    this.spotlightEditSnapshot = null;
+  }
+}
+
+/**
+ * Moves a step badge one place earlier (-1) or later (+1) in the sequence by
+ * swapping it with its neighbouring badge; both are renumbered.
+ */
+export function moveStep(step, direction) {
+  const elements = this.elements.annotationElements;
+  const steps = elements.filter(el => el.type === 'step');
+  const neighbour = steps[steps.indexOf(step) + direction];
+  if (!neighbour) {
+    this.showToast(direction < 0 ? 'Already the first step' : 'Already the last step', false, 'info');
+    return;
+  }
+  this.pushHistory();
+  const stepIndex = elements.indexOf(step);
+  const neighbourIndex = elements.indexOf(neighbour);
+  elements[stepIndex] = neighbour;
+  elements[neighbourIndex] = step;
+  this.redrawCanvas();
+  this.showToast(`Moved to step ${this.getStepNumber(step)}`, false, 'info');
+}
+
+/**
+ * Seeds the crop selection with the current crop (if any) and draws its
+ * guides, so it can be adjusted by its handles. Uncropped, with an aspect
+ * ratio or size preset chosen, the largest area that fits it is selected.
+ */
+export function showCurrentCropSelection() {
+  const crop = this.canvasState.crop;
+  this.drawingState.cropStart = crop ? { x: crop.x, y: crop.y } : null;
+  this.drawingState.cropEnd = crop ? { x: crop.x + crop.width, y: crop.y + crop.height } : null;
+  if (!crop && this.getCropAspect() !== null) {
+    this.setCropSelection(this.fitCropRect(this.getViewRect()));
+  }
+  if (this.getCropSelection()) {
+    this.drawCurrentCropSelection();
+  }
+  this.updateCropOptions();
+}
+
+/**
+ * Finalizes the crop operation based on the selected area. Cropping is
+ * non-destructive: it only changes which part of the original image is shown
+ * and exported, so annotations outside the crop are kept (just hidden) and
+ * the crop can be adjusted or reset later.
+ * Exits cropOnlyMode if active.
+ */
+export async function completeCrop() {
+  // Ensure prerequisites are met
+  const selection = this.getCropSelection();
+  if (!selection || !this.isToolActive('crop') || !this.offscreenCanvas) {
+    console.warn("completeCrop prerequisites not met.");
+    this.resetCropState();
+    return;
+  }
+
+  try {
+    const before = this.createHistorySnapshot();
+    // Leave crop mode first so applying the crop switches to the cropped view
     this.setToolActive('crop', false);
     const cropToolElement = document.getElementById('cropTool');
     if (cropToolElement) {
       cropToolElement.classList.remove('active');
     }
     this.animateToolActivation('cropTool', false);
+    this.updateToolOptions();
+
+    if (!this.applyCrop(selection)) {
+      this.updateCanvasView();
+      return;
+    }
+    this.pushHistory(before);
+    this.state.cropOnlyMode = false;
+    this.showToast("Crop completed successfully!", false, 'success');
 
   } catch (error) {
     console.error("Error during crop finalization:", error);
@@ -185,12 +408,141 @@ export async function completeCrop() {
   }
 }
 
+/**
+ * Sets the crop to a region given in image coordinates (clamped to the
+ * image) and shows it. Used by the crop tool and to open a region capture
+ * already cropped.
+ * @param {{x: number, y: number, width: number, height: number}} region
+ * @returns {boolean} False if the region was too small to crop to.
+ */
+export function applyCrop(region) {
+  const imageWidth = this.offscreenCanvas.width;
+  const imageHeight = this.offscreenCanvas.height;
+  if (imageWidth === 0 || imageHeight === 0) {
+    this.showToast("Error: Invalid canvas dimensions before crop.", false, 'error');
+    return false;
+  }
+
+  // Clamp selection to image bounds
+  const x = Math.max(0, Math.min(Math.round(region.x), imageWidth - 1));
+  const y = Math.max(0, Math.min(Math.round(region.y), imageHeight - 1));
+  const width = Math.max(1, Math.min(Math.round(region.width), imageWidth - x));
+  const height = Math.max(1, Math.min(Math.round(region.height), imageHeight - y));
+
+  if (width <= 1 || height <= 1) {
+    this.showToast("Crop area is too small.", false, 'error');
+    return false;
+  }
+
+  // A crop covering the whole image is the same as no crop
+  const isFullImage = x === 0 && y === 0 && width === imageWidth && height === imageHeight;
+  this.canvasState.crop = isFullImage ? null : { x, y, width, height };
+  this.clearSelection();
+  this.updateCanvasView();
+  return true;
+}
+
+/**
+ * Removes the crop so the full capture is shown (and exported) again.
+ */
+export function resetCrop() {
+  if (!this.canvasState.crop) {
+    this.showToast("The image isn't cropped.", false, 'info');
+    return;
+  }
+  this.pushHistory();
+  this.canvasState.crop = null;
+  this.state.cropOnlyMode = false;
+  this.updateCanvasView();
+  this.showToast("Crop reset to the full capture.", false, 'success');
+}
+
+/**
+ * Returns the current crop selection (normalized, in image coordinates), or
+ * null if nothing is selected.
+ */
+export function getCropSelection() {
+  const { cropStart, cropEnd } = this.drawingState;
+  if (!cropStart || !cropEnd) return null;
+  return {
+    x: Math.min(cropStart.x, cropEnd.x),
+    y: Math.min(cropStart.y, cropEnd.y),
+    width: Math.abs(cropEnd.x - cropStart.x),
+    height: Math.abs(cropEnd.y - cropStart.y)
+  };
+}
+
+/**
+ * Moves or resizes the crop selection while one of its handles (or its body)
+ * is dragged. Dragging an edge past the opposite one flips the selection.
+ * With an aspect ratio set, resizing keeps it.
+ */
+export function adjustCropSelection(pos) {
+  const { handle, startPos, origin } = this.drawingState.cropDrag;
+  let left = origin.x;
+  let top = origin.y;
+  let right = origin.x + origin.width;
+  let bottom = origin.y + origin.height;
+
+  if (handle === 'move') {
+    // Keep the whole selection inside the image
+    const dx = Math.max(-left, Math.min(pos.x - startPos.x, this.offscreenCanvas.width - right));
+    const dy = Math.max(-top, Math.min(pos.y - startPos.y, this.offscreenCanvas.height - bottom));
+    left += dx; right += dx;
+    top += dy; bottom += dy;
+  } else if (this.getCropAspect() !== null && handle.length === 2) {
+    // A corner keeps the ratio, pivoting on the opposite corner
+    const anchor = { x: handle.includes('w') ? right : left, y: handle.includes('n') ? bottom : top };
+    this.drawingState.cropStart = anchor;
+    this.drawingState.cropEnd = this.getConstrainedCropEnd(anchor, pos);
+    return;
+  } else if (this.getCropAspect() !== null) {
+    // An edge keeps the ratio by growing the other way around the middle
+    const aspect = this.getCropAspect();
+    const horizontal = handle === 'e' || handle === 'w';
+    const anchor = horizontal ? (handle === 'w' ? right : left) : (handle === 'n' ? bottom : top);
+    const sign = (horizontal ? pos.x : pos.y) < anchor ? -1 : 1;
+    const imageWidth = this.offscreenCanvas.width;
+    const imageHeight = this.offscreenCanvas.height;
+    let length = Math.min(Math.abs((horizontal ? pos.x : pos.y) - anchor),
+      sign > 0 ? (horizontal ? imageWidth : imageHeight) - anchor : anchor);
+    let across = horizontal ? length / aspect : length * aspect;
+    const room = horizontal ? imageHeight : imageWidth;
+    if (across > room) {
+      across = room;
+      length = horizontal ? across * aspect : across / aspect;
+    }
+    const middle = horizontal ? (top + bottom) / 2 : (left + right) / 2;
+    const start = Math.max(0, Math.min(middle - across / 2, room - across));
+    if (horizontal) {
+      left = anchor;
+      right = anchor + sign * length;
+      top = start;
+      bottom = start + across;
+    } else {
+      top = anchor;
+      bottom = anchor + sign * length;
+      left = start;
+      right = start + across;
+    }
+  } else {
+    if (handle.includes('w')) left = pos.x;
+    if (handle.includes('e')) right = pos.x;
+    if (handle.includes('n')) top = pos.y;
+    if (handle.includes('s')) bottom = pos.y;
+  }
+
+  this.drawingState.cropStart = { x: left, y: top };
+  this.drawingState.cropEnd = { x: right, y: bottom };
+}
+
 /**
  * Helper function to reset cropping state and redraw canvas.
  */
 export function resetCropState() {
   this.drawingState.cropStart = null;
   this.drawingState.cropEnd = null;
+  this.drawingState.cropDrag = null;
   if (this.canvas) {
     // Determine appropriate cursor
     let newCursor = 'default';
@@ -215,6 +567,7 @@ export async function copyToClipboard() {
     this.showToast("Finalize cropping before copying.", false, 'warning'); 
     return; 
   }
+  if (!this.confirmSensitiveExport('Copy')) return;
 
   this.showSpinner(true);
   this.showToast('Preparing high-quality image for clipboard...', true, 'info');
@@ -251,6 +604,7 @@ export async function copyToClipboard() {
       }) 
     ]);
     
+    this.state.unsavedChanges = false;
     this.showToast('High-quality screenshot copied to clipboard!', false, 'success');
   } catch (error) {
     console.error('Copy to clipboard failed:', error);
@@ -272,6 +626,7 @@ export async function saveImage() {
     this.showToast("Finalize cropping before saving.", false, 'warning'); 
     return; 
   }
+  if (!this.confirmSensitiveExport('Save')) return;
 
   this.showSpinner(true);
   this.showToast('Preparing image for download...', true, 'info');
@@ -289,6 +644,7 @@ export async function saveImage() {
 
     console.log(`Attempting to download to: ${filename}`);
     await this.tryDownload(dataUrl, filename, 0); // Reduced retries to 0 unless specific need
+    this.state.unsavedChanges = false;
     this.showToast('Screenshot saved successfully!', false, 'success');
   } catch (error) {
     console.error('Save image failed:', error);
@@ -0,0 +1,308 @@
+// Largest image side a resize may produce (browsers refuse bigger canvases)
+const MAX_IMAGE_SIDE = 16384;
+
+/**
+ * Wires up the rotate/flip/resize panel, its toolbar button and the resize dialog.
+ */
+export function initializeTransformPanel() {
+  const panel = document.getElementById('transformPanel');
+  const toggle = document.getElementById('transformTool');
+  if (!panel || !toggle) {
+    console.warn("Transform panel not found.");
+    return;
+  }
+  toggle.addEventListener('click', () => {
+    this.closeStylePanel();
+    this.closeFramePanel();
+    panel.hidden = !panel.hidden;
+    toggle.classList.toggle('active', !panel.hidden);
+  });
+  const actions = {
+    'rotate-left': () => this.rotateImage(false),
+    'rotate-right': () => this.rotateImage(true),
+    'flip-horizontal': () => this.flipImage(true),
+    'flip-vertical': () => this.flipImage(false),
+    resize: () => this.openResizeDialog()
+  };
+  panel.querySelectorAll('[data-transform]').forEach(button => {
+    button.addEventListener('click', () => actions[button.dataset.transform]());
+  });
+  this.initializeResizeDialog();
+}
+
+/**
+ * Hides the transform panel (clicking outside it or pressing Escape).
+ */
+export function closeTransformPanel() {
+  const panel = document.getElementById('transformPanel');
+  if (!panel || panel.hidden) return;
+  panel.hidden = true;
+  document.getElementById('transformTool')?.classList.remove('active');
+}
+
+/**
+ * Rotates the image a quarter turn, annotations and crop included.
+ * @param {boolean} clockwise - Rotate right (true) or left (false).
+ */
+export function rotateImage(clockwise) {
+  const { width, height } = this.offscreenCanvas;
+  // Maps (x, y) to (a*x + c*y + e, b*x + d*y + f), as in ctx.setTransform
+  const matrix = clockwise
+    ? { a: 0, b: 1, c: -1, d: 0, e: height, f: 0 }
+    : { a: 0, b: -1, c: 1, d: 0, e: 0, f: width };
+  if (this.transformImage(matrix, height, width)) {
+    this.showToast(clockwise ? 'Rotated right' : 'Rotated left', false, 'success');
+  }
+}
+
+/**
+ * Mirrors the image, annotations and crop included. Text stays readable:
+ * it moves to the mirrored position rather than being mirrored itself.
+ * @param {boolean} horizontal - Flip left-right (true) or upside down (false).
+ */
+export function flipImage(horizontal) {
+  const { width, height } = this.offscreenCanvas;
+  const matrix = horizontal
+    ? { a: -1, b: 0, c: 0, d: 1, e: width, f: 0 }
+    : { a: 1, b: 0, c: 0, d: -1, e: 0, f: height };
+  if (this.transformImage(matrix, width, height)) {
+    this.showToast(horizontal ? 'Flipped horizontally' : 'Flipped vertically', false, 'success');
+  }
+}
+
+/**
+ * Scales the image so the visible (cropped) part becomes width x height,
+ * with annotations, stroke widths and text sizes scaled to match.
+ */
+export function resizeImage(width, height) {
+  const view = this.getViewRect();
+  const imageWidth = Math.max(1, Math.round(this.offscreenCanvas.width * width / view.width));
+  const imageHeight = Math.max(1, Math.round(this.offscreenCanvas.height * height / view.height));
+  if (imageWidth > MAX_IMAGE_SIDE || imageHeight > MAX_IMAGE_SIDE) {
+    this.showToast(`That's too large — images can be at most ${MAX_IMAGE_SIDE}px on a side.`, false, 'error');
+    return;
+  }
+  if (imageWidth === this.offscreenCanvas.width && imageHeight === this.offscreenCanvas.height) return;
+  // Scale by the rounded image size, so the whole image maps exactly
+  const matrix = {
+    a: imageWidth / this.offscreenCanvas.width, b: 0,
+    c: 0, d: imageHeight / this.offscreenCanvas.height,
+    e: 0, f: 0
+  };
+  if (this.transformImage(matrix, imageWidth, imageHeight)) {
+    this.showToast(`Resized to ${width} × ${height}px`, false, 'success');
+  }
+}
+
+/**
+ * Redraws the base image through matrix onto a width x height bitmap and
+ * remaps every annotation, the crop and the sensitive data outlines the same
+ * way, as one undo step.
+ * @returns {boolean} False if another interaction is still in progress.
+ */
+export function transformImage(matrix, width, height) {
+  if (!this.prepareHistoryStep()) return false;
+  if (this.isToolActive('crop')) this.toggleTool('crop');
+  const source = this.getImageSnapshot(); // Unmodified copy of the current bitmap
+  this.pushHistory();
+
+  this.offscreenCanvas.width = width;
+  this.offscreenCanvas.height = height;
+  const ctx = this.offscreenCtx;
+  ctx.save();
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.setTransform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f);
+  ctx.drawImage(source, 0, 0);
+  ctx.restore();
+  this.canvasState.imageSnapshot = null;
+  this.canvasState.redactionCache = new WeakMap();
+
+  this.elements.annotationElements.forEach(element => this.transformElement(element, matrix));
+  const crop = this.canvasState.crop;
+  if (crop) {
+    const mapped = mapRect(matrix, crop);
+    const x = Math.max(0, Math.min(Math.round(mapped.x), width - 1));
+    const y = Math.max(0, Math.min(Math.round(mapped.y), height - 1));
+    this.canvasState.crop = {
+      x, y,
+      width: Math.max(1, Math.min(Math.round(mapped.width), width - x)),
+      height: Math.max(1, Math.min(Math.round(mapped.height), height - y))
+    };
+  }
+  this.sensitiveRegions = this.sensitiveRegions.map(region => ({ ...region, ...mapRect(matrix, region) }));
+  this.clearSelection();
+  this.updateCanvasView();
+  return true;
+}
+
+/**
+ * Moves an element to where matrix takes it, scaling its stroke widths and
+ * text size with the image. Text, step badges and callout bubbles stay
+ * upright; only their position follows the transform.
+ */
+export function transformElement(element, matrix) {
+  // How much lengths change (1 for rotations and flips)
+  const scaleX = Math.hypot(matrix.a, matrix.b);
+  const scaleY = Math.hypot(matrix.c, matrix.d);
+  const scale = Math.sqrt(scaleX * scaleY);
+  const point = p => mapPoint(matrix, p);
+  const textBounds = element.type === 'text' ? this.getElementBounds(element) : null;
+
+  if ('lineWidth' in element) element.lineWidth = Math.max(1, element.lineWidth * scale);
+  if (element.type === 'arrow') element.width = Math.max(1, element.width * scale);
+  if ('fontSize' in element) element.fontSize = Math.max(10, Math.round(element.fontSize * scale));
+
+  if (element.type === 'arrow' || element.type === 'line') {
+    const start = point({ x: element.x1, y: element.y1 });
+    const end = point({ x: element.x2, y: element.y2 });
+    Object.assign(element, { x1: start.x, y1: start.y, x2: end.x, y2: end.y });
+  } else if (element.points) {
+    element.points = element.points.map(point);
+  } else if (element.type === 'rect' || element.type === 'box' || element.type === 'ellipse') {
+    Object.assign(element, mapRect(matrix, element));
+    if (element.type === 'rect' && element.size) element.size = Math.max(2, Math.round(element.size * scale));
+  } else if (element.type === 'spotlight') {
+    element.regions = element.regions.map(region => ({ ...region, ...mapRect(matrix, region) }));
+    element.blur = Math.max(1, Math.round(element.blur * scale));
+  } else if (element.type === 'step') {
+    Object.assign(element, point(element));
+    element.size = Math.max(10, Math.round(element.size * scale));
+    if (element.target) element.target = point(element.target);
+  } else if (element.type === 'magnifier') {
+    Object.assign(element, point(element));
+    element.source = mapRect(matrix, element.source);
+  } else if (element.type === 'callout') {
+    // The bubble keeps its orientation; its center and tail tip move
+    const width = element.width * Math.hypot(matrix.a, matrix.c);
+    const height = element.height * Math.hypot(matrix.b, matrix.d);
+    const center = point({ x: element.x + element.width / 2, y: element.y + element.height / 2 });
+    Object.assign(element, { x: center.x - width / 2, y: center.y - height / 2, width, height });
+    element.tail = point(element.tail);
+  } else if (element.type === 'text') {
+    // Lay the (re-sized) text out again around where its center went
+    const center = point({ x: textBounds.x + textBounds.width / 2, y: textBounds.y + textBounds.height / 2 });
+    const bounds = this.getElementBounds(element);
+    element.x += center.x - (bounds.x + bounds.width / 2);
+    element.y += center.y - (bounds.y + bounds.height / 2);
+  }
+}
+
+function mapPoint(m, p) {
+  return { x: m.a * p.x + m.c * p.y + m.e, y: m.b * p.x + m.d * p.y + m.f };
+}
+
+// Maps a rectangle by its corners; quarter turns swap its width and height
+function mapRect(m, r) {
+  const a = mapPoint(m, r);
+  const b = mapPoint(m, { x: r.x + r.width, y: r.y + r.height });
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y)
+  };
+}
+
+/**
+ * Wires up the resize dialog: pixel or percentage sizes, with the other side
+ * following while the aspect ratio is locked.
+ */
+export function initializeResizeDialog() {
+  const dialog = document.getElementById('resizeDialog');
+  if (!dialog) {
+    console.warn("Resize dialog not found.");
+    return;
+  }
+  const widthInput = document.getElementById('resizeWidth');
+  const heightInput = document.getElementById('resizeHeight');
+  const lock = document.getElementById('resizeLock');
+  const units = dialog.querySelectorAll('[data-resize-unit]');
+
+  // In percent mode both sides hold the same percentage while locked
+  const follow = (changed, other, ratio) => {
+    if (!lock.checked || !changed.value) return;
+    const percent = dialog.dataset.unit === 'percent';
+    other.value = String(Math.max(1, Math.round(Number(changed.value) * (percent ? 1 : ratio))));
+  };
+  widthInput.addEventListener('input', () => {
+    const view = this.getViewRect();
+    follow(widthInput, heightInput, view.height / view.width);
+  });
+  heightInput.addEventListener('input', () => {
+    const view = this.getViewRect();
+    follow(heightInput, widthInput, view.width / view.height);
+  });
+  lock.addEventListener('change', () => follow(widthInput, heightInput, this.getViewRect().height / this.getViewRect().width));
+
+  units.forEach(button => {
+    button.addEventListener('click', () => {
+      const unit = button.dataset.resizeUnit;
+      if (unit === dialog.dataset.unit) return;
+      // Convert what's entered, so switching units keeps the size
+      const view = this.getViewRect();
+      const [width, height] = [Number(widthInput.value) || 0, Number(heightInput.value) || 0];
+      if (unit === 'percent') {
+        widthInput.value = String(Math.round(width / view.width * 100));
+        heightInput.value = String(Math.round(height / view.height * 100));
+      } else {
+        widthInput.value = String(Math.round(view.width * width / 100));
+        heightInput.value = String(Math.round(view.height * height / 100));
+      }
+      this.setResizeUnit(unit);
+    });
+  });
+
+  // Not a submit button, so Enter in a field resizes rather than cancels
+  document.getElementById('resizeCancel').addEventListener('click', () => dialog.close('cancel'));
+
+  dialog.addEventListener('close', () => {
+    if (dialog.returnValue !== 'resize') return;
+    const view = this.getViewRect();
+    let width = Number(widthInput.value);
+    let height = Number(heightInput.value);
+    if (dialog.dataset.unit === 'percent') {
+      width = Math.round(view.width * width / 100);
+      height = Math.round(view.height * height / 100);
+    }
+    if (!(width >= 1 && height >= 1)) {
+      this.showToast('Enter a width and height of at least 1px.', false, 'error');
+      return;
+    }
+    this.resizeImage(Math.round(width), Math.round(height));
+  });
+}
+
+/**
+ * Opens the resize dialog filled in with the current (cropped) image size.
+ */
+export function openResizeDialog() {
+  const dialog = document.getElementById('resizeDialog');
+  if (!dialog) return;
+  if (this.activeTextInput) this.commitTextInput();
+  this.closeTransformPanel();
+  const view = this.getViewRect();
+  document.getElementById('resizeCurrent').textContent = `Currently ${view.width} × ${view.height}px`;
+  document.getElementById('resizeWidth').value = String(view.width);
+  document.getElementById('resizeHeight').value = String(view.height);
+  document.getElementById('resizeLock').checked = true;
+  this.setResizeUnit('px');
+  dialog.returnValue = '';
+  dialog.showModal();
+  document.getElementById('resizeWidth').select();
+}
+
+/**
+ * Switches the resize dialog between pixel and percentage sizes.
+ * @param {string} unit - 'px' or 'percent'.
+ */
+export function setResizeUnit(unit) {
+  const dialog = document.getElementById('resizeDialog');
+  dialog.dataset.unit = unit;
+  dialog.querySelectorAll('[data-resize-unit]').forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.resizeUnit === unit));
+  });
+  dialog.querySelectorAll('.resize-unit').forEach(label => {
+    label.textContent = unit === 'percent' ? '%' : 'px';
+  });
+}
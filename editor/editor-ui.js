@@ -1,3 +1,7 @@
+// Text layout shared with canvas rendering, so the inline editor matches the result
+import { textFont } from './editor-utils.js';
+import { TEXT_LINE_HEIGHT } from './editor-canvas.js';
+
 /**
  * Shows or hides the loading spinner element with smooth animations.
  * @param {boolean} show - True to show the spinner, false to hide it.
@@ -86,36 +90,67 @@ export function showToast(message, persist = false, type = 'info') {
 }
 
 /**
- * Opens an inline text input over the canvas at the given canvas position.
- * Committed via Enter, blur, or clicking elsewhere; cancelled via Escape.
+ * Opens an inline text editor over the canvas, either for new text at pos or
+ * to edit the text of an existing text element or callout (double-click).
+ * Enter commits (with Shift+Enter for a new line), as do blur and clicking
+ * elsewhere; Escape cancels.
  * @param {{x: number, y: number}} pos - Position in canvas (bitmap) coordinates.
+ * @param {object} [element] - Existing text element or callout to edit instead.
+ * @param {object} [before] - Undo snapshot from before element was added, if
+ *        it was just created for this edit; it's removed again if left empty.
  */
-export function openTextInput(pos) {
+export function openTextInput(pos, element = null, before = null) {
   if (this.activeTextInput) this.commitTextInput();
 
-  this.updateCanvasRect();
-  const rect = this.ui.canvasRect;
-  const scale = rect && rect.width > 0 ? rect.width / this.canvas.width : 1;
-  const fontSize = this.defaultFontSize();
-
-  const input = document.createElement('input');
-  input.type = 'text';
+  const isCallout = !!element && element.type === 'callout';
+  let style = { ...this.textStyle };
+  if (isCallout) {
+    style = { align: 'left', fontFamily: 'sans', fontWeight: 'normal', background: false };
+  } else if (element) {
+    style = { align: element.align || 'left', fontFamily: element.fontFamily || 'sans',
+              fontWeight: element.fontWeight || 'bold', background: !!element.background };
+  }
+  const input = document.createElement('textarea');
   input.className = 'canvas-text-input';
   input.setAttribute('aria-label', 'Annotation text');
   input.placeholder = 'Type text…';
-  input.style.left = `${rect.left + pos.x * scale}px`;
-  input.style.top = `${rect.top + pos.y * scale}px`;
-  input.style.fontSize = `${Math.max(12, fontSize * scale)}px`;
+  input.rows = 1;
+  input.wrap = isCallout ? 'soft' : 'off';
+  input.classList.toggle('is-callout', isCallout);
+  input.spellcheck = false;
+  input.value = element ? element.text : '';
   document.body.appendChild(input);
 
-  this.activeTextInput = { input, pos, fontSize };
+  this.activeTextInput = {
+    input,
+    pos: element ? { x: element.x, y: element.y } : pos,
+    fontSize: element ? element.fontSize : this.currentFontSize(),
+    color: element ? element.color || '#FF3B30' : this.annotationStyle.color,
+    style,
+    element,
+    isNew: !!before,
+    before: element ? before || this.createHistorySnapshot() : null
+  };
+  this.styleTextInput();
+  if (element) this.redrawCanvas(); // Hide the element while its text is edited
+  this.updateSelectionOptions(); // Text being typed shows the text options
 
   input.addEventListener('keydown', (e) => {
     e.stopPropagation();
-    if (e.key === 'Enter') this.commitTextInput();
-    else if (e.key === 'Escape') this.cancelTextInput();
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      this.commitTextInput();
+    } else if (e.key === 'Escape') {
+      this.cancelTextInput();
+    }
+  });
+  input.addEventListener('input', () => {
+    this.fitTextInput();
+    if (isCallout) this.redrawCanvas(); // Grow the bubble with the text
   });
-  input.addEventListener('blur', () => {
+  input.addEventListener('blur', (e) => {
+    // Picking a text option restyles the open editor rather than committing it
+    if (e.relatedTarget && e.relatedTarget.closest('#textOptions')) return;
     // Let a same-tick commit/cancel win over the blur
     setTimeout(() => { if (this.activeTextInput && this.activeTextInput.input === input) this.commitTextInput(); }, 0);
   });
@@ -123,45 +158,120 @@ export function openTextInput(pos) {
   // steals it back. The rAF is a fallback for browsers that ignore the
   // synchronous focus during event dispatch.
   input.focus({ preventScroll: true });
+  if (element) input.select();
   requestAnimationFrame(() => {
     if (document.activeElement !== input) input.focus({ preventScroll: true });
   });
+  this.updateToolOptions();
+}
+
+/**
+ * Positions the open text editor over the canvas and gives it the font,
+ * alignment, color and background the committed text will have.
+ */
+export function styleTextInput() {
+  const { input, fontSize, color, style, element } = this.activeTextInput;
+  this.updateCanvasRect();
+  const rect = this.ui.canvasRect;
+  const scale = rect && rect.width > 0 ? rect.width / this.canvas.width : 1;
+  const view = this.getViewRect();
+  let pos = this.activeTextInput.pos;
+  if (element && element.type === 'callout') {
+    // Type straight into the bubble, wrapping at its width
+    const { box, pad } = this.getCalloutLayout(element);
+    pos = { x: box.x + pad, y: box.y + pad };
+    input.style.width = `${(box.width - pad * 2) * scale}px`;
+  }
+
+  input.style.left = `${rect.left + (pos.x - view.x) * scale}px`;
+  input.style.top = `${rect.top + (pos.y - view.y) * scale}px`;
+  input.style.font = textFont({ ...style, fontSize: Math.max(12, fontSize * scale) });
+  input.style.lineHeight = String(TEXT_LINE_HEIGHT);
+  input.style.textAlign = style.align;
+  input.style.color = color;
+  input.classList.toggle('has-background', style.background);
+  this.fitTextInput();
+}
+
+/**
+ * Grows the open text editor to fit its lines.
+ */
+export function fitTextInput() {
+  const { input, element } = this.activeTextInput;
+  if (element && element.type === 'callout') {
+    input.style.height = 'auto';
+    input.style.height = `${input.scrollHeight}px`;
+    return;
+  }
+  const lines = input.value.split('\n');
+  input.rows = lines.length;
+  input.cols = Math.max(12, ...lines.map(line => line.length + 2));
 }
 
 /**
- * Commits the open text input as a text element (if non-empty) and removes it.
+ * Commits the open text editor: adds new text as an element (if non-empty),
+ * or updates the edited element, deleting it if its text was cleared.
  */
 export function commitTextInput() {
   if (!this.activeTextInput) return;
-  const { input, pos, fontSize } = this.activeTextInput;
-  const text = input.value.trim();
+  const { input, pos, fontSize, color, style, element, isNew, before } = this.activeTextInput;
+  const text = input.value.replace(/\s+$/, '').replace(/^\s*\n/, '');
   this.activeTextInput = null;
   input.remove();
 
-  if (text) {
+  if (element) {
+    const isCallout = element.type === 'callout';
+    const index = this.elements.annotationElements.indexOf(element);
+    // Callouts keep their own font; text takes the layout picked while typing
+    const changes = isCallout ? { text } : { text, ...style };
+    if (!text) {
+      if (index !== -1) this.elements.annotationElements.splice(index, 1);
+      if (!isNew) {
+        this.pushHistory(before);
+        this.showToast(isCallout ? 'Callout deleted' : 'Text deleted', false, 'info');
+      }
+    } else if (isNew || Object.keys(changes).some(key => changes[key] !== element[key])) {
+      Object.assign(element, changes);
+      // Keep the stored size in step with a bubble the text made taller
+      if (isCallout) element.height = this.getCalloutLayout(element).box.height;
+      this.pushHistory(before);
+      if (isNew) this.showToast('Callout added', false, 'success');
+    }
+  } else if (text) {
     const newText = {
       type: 'text',
       id: `text-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
       x: pos.x, y: pos.y,
       text,
       fontSize,
-      color: '#FF3B30'
+      color,
+      opacity: this.annotationStyle.opacity,
+      ...style
     };
+    this.pushHistory();
     this.elements.annotationElements.push(newText);
     this.showToast('Text added', false, 'success');
   }
   this.redrawCanvas();
+  this.updateSelectionOptions();
 }
 
 /**
- * Discards the open text input without adding an element.
+ * Discards the open text editor; re-edited text keeps its previous content,
+ * and a callout drawn just now is removed again.
  */
 export function cancelTextInput() {
   if (!this.activeTextInput) return;
-  const { input } = this.activeTextInput;
+  const { input, element, isNew } = this.activeTextInput;
   this.activeTextInput = null;
   input.remove();
+  // It was added without an undo step, which only its committed text would record
+  if (isNew) {
+    const index = this.elements.annotationElements.indexOf(element);
+    if (index !== -1) this.elements.annotationElements.splice(index, 1);
+  }
   this.redrawCanvas();
+  this.updateSelectionOptions();
 }
 
 /**
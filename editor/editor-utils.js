@@ -37,4 +37,53 @@ export function throttle(func, limit) {
     // Return the result of the last successful execution (if any)
     return lastResult;
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Normalizes the rectangle spanned by a fixed anchor corner and a dragged
+ * point. With square set, the shorter side grows to match the longer one.
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function rectFromCorners(anchor, pos, square = false) {
+  let dx = pos.x - anchor.x;
+  let dy = pos.y - anchor.y;
+  if (square) {
+    const size = Math.max(Math.abs(dx), Math.abs(dy));
+    dx = (dx < 0 ? -1 : 1) * size;
+    dy = (dy < 0 ? -1 : 1) * size;
+  }
+  return {
+    x: Math.min(anchor.x, anchor.x + dx),
+    y: Math.min(anchor.y, anchor.y + dy),
+    width: Math.abs(dx),
+    height: Math.abs(dy)
+  };
+}
+
+/**
+ * Snaps the direction from anchor to pos to the nearest multiple of 45°,
+ * keeping the distance.
+ */
+export function snapToAngle(anchor, pos) {
+  const step = Math.PI / 4;
+  const angle = Math.round(Math.atan2(pos.y - anchor.y, pos.x - anchor.x) / step) * step;
+  const length = Math.hypot(pos.x - anchor.x, pos.y - anchor.y);
+  return { x: anchor.x + Math.cos(angle) * length, y: anchor.y + Math.sin(angle) * length };
+}
+
+// Font stacks offered for text annotations
+export const TEXT_FONTS = {
+  sans: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+  serif: "Georgia, 'Times New Roman', serif",
+  mono: "'SF Mono', Menlo, Consolas, monospace",
+  hand: "'Comic Sans MS', 'Chalkboard SE', 'Comic Neue', cursive"
+};
+
+/**
+ * Builds the canvas/CSS font shorthand for a text element (or anything with
+ * a fontSize). Elements without a family or weight are bold sans-serif.
+ */
+export function textFont(element) {
+  const weight = element.fontWeight === 'normal' ? 'normal' : 'bold';
+  return `${weight} ${element.fontSize}px ${TEXT_FONTS[element.fontFamily] || TEXT_FONTS.sans}`;
+}
@@ -0,0 +1,124 @@
+// Zoom levels the zoom buttons and Ctrl/Cmd +/- step through
+const ZOOM_STEPS = [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4, 6, 8];
+const MIN_ZOOM = ZOOM_STEPS[0];
+const MAX_ZOOM = ZOOM_STEPS[ZOOM_STEPS.length - 1];
+
+/**
+ * Wires up the zoom controls and keeps the cached canvas position (used by
+ * getMousePos and the inline text input) current while the zoomed image is
+ * scrolled.
+ */
+export function initializeZoomControls() {
+  const controls = {
+    zoomOutTool: () => this.stepZoom(-1),
+    zoomInTool: () => this.stepZoom(1),
+    zoomFitTool: () => this.setZoom(null),
+    zoomActualTool: () => this.setZoom(1)
+  };
+  for (const [id, action] of Object.entries(controls)) {
+    const button = document.getElementById(id);
+    if (!button) {
+      console.warn(`Zoom control with ID ${id} not found.`);
+      continue;
+    }
+    button.addEventListener('click', action);
+  }
+
+  const container = document.getElementById('editorContainer');
+  if (container) {
+    container.addEventListener('scroll', () => {
+      this.updateCanvasRect();
+      if (this.activeTextInput) this.styleTextInput();
+    });
+  }
+}
+
+/**
+ * Returns the current on-screen scale of the image (CSS pixels per image pixel).
+ */
+export function getZoom() {
+  if (this.viewport.zoom !== null) return this.viewport.zoom;
+  const rect = this.ui.canvasRect;
+  return rect && rect.width > 0 && this.canvas.width > 0 ? rect.width / this.canvas.width : 1;
+}
+
+/**
+ * Zooms the image, keeping the point under anchor where it is on screen.
+ * @param {number|null} zoom - Scale (1 = actual size), or null to fit the
+ *        image in the window.
+ * @param {{x: number, y: number}} [anchor] - Client coordinates to zoom
+ *        around; the middle of the visible area by default.
+ */
+export function setZoom(zoom, anchor = null) {
+  const container = document.getElementById('editorContainer');
+  if (!this.canvas || !container) return;
+  this.updateCanvasRect();
+  const before = this.ui.canvasRect;
+  const bounds = container.getBoundingClientRect();
+  const point = anchor || { x: bounds.left + bounds.width / 2, y: bounds.top + bounds.height / 2 };
+  // Where the anchor sits within the image, as a fraction of its size
+  const fx = before.width > 0 ? (point.x - before.left) / before.width : 0.5;
+  const fy = before.height > 0 ? (point.y - before.top) / before.height : 0.5;
+
+  this.viewport.zoom = zoom === null ? null : Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+  this.updateCanvasDisplaySize();
+
+  if (this.viewport.zoom !== null) {
+    const after = this.ui.canvasRect; // Updated for the new size
+    container.scrollLeft += after.left + fx * after.width - point.x;
+    container.scrollTop += after.top + fy * after.height - point.y;
+    this.updateCanvasRect();
+    if (this.activeTextInput) this.styleTextInput();
+  }
+}
+
+/**
+ * Zooms in or out to the next preset level.
+ * @param {number} direction - 1 to zoom in, -1 to zoom out.
+ */
+export function stepZoom(direction) {
+  const current = this.getZoom();
+  const next = direction > 0
+    ? ZOOM_STEPS.find(step => step > current + 0.001)
+    : [...ZOOM_STEPS].reverse().find(step => step < current - 0.001);
+  this.setZoom(next ?? (direction > 0 ? MAX_ZOOM : MIN_ZOOM));
+}
+
+/**
+ * Shows the zoom level and whether the image is fitted or at actual size.
+ */
+export function updateZoomControls() {
+  const zoom = this.getZoom();
+  const level = document.getElementById('zoomLevel');
+  if (level) level.textContent = `${Math.round(zoom * 100)}%`;
+  document.getElementById('zoomFitTool')?.setAttribute('aria-pressed', String(this.viewport.zoom === null));
+  document.getElementById('zoomActualTool')?.setAttribute('aria-pressed', String(this.viewport.zoom === 1));
+  const zoomIn = document.getElementById('zoomInTool');
+  const zoomOut = document.getElementById('zoomOutTool');
+  if (zoomIn) zoomIn.disabled = zoom >= MAX_ZOOM;
+  if (zoomOut) zoomOut.disabled = zoom <= MIN_ZOOM;
+}
+
+/**
+ * Pans the zoomed image by dragging (Space held, or the middle button)
+ * until the mouse button is released.
+ */
+export function startPan(e) {
+  const container = document.getElementById('editorContainer');
+  if (!container) return;
+  const pan = { x: e.clientX, y: e.clientY, left: container.scrollLeft, top: container.scrollTop };
+  this.viewport.pan = pan;
+  this.canvas.style.cursor = 'grabbing';
+  const move = (event) => {
+    container.scrollLeft = pan.left - (event.clientX - pan.x);
+    container.scrollTop = pan.top - (event.clientY - pan.y);
+  };
+  const end = () => {
+    window.removeEventListener('mousemove', move);
+    window.removeEventListener('mouseup', end);
+    this.viewport.pan = null;
+    this.canvas.style.cursor = this.viewport.spaceHeld ? 'grab' : 'default';
+  };
+  window.addEventListener('mousemove', move);
+  window.addEventListener('mouseup', end);
+}
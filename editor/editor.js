@@ -4,6 +4,15 @@ import * as Init from './editor-init.js';
 import * as CanvasOps from './editor-canvas.js';
 import * as Tools from './editor-tools.js';
 import * as Events from './editor-events.js';
+import * as History from './editor-history.js';
+import * as Sensitive from './editor-sensitive.js';
+import * as Style from './editor-style.js';
+import * as Selection from './editor-selection.js';
+import * as Snapping from './editor-snapping.js';
+import * as Viewport from './editor-viewport.js';
+import * as Transform from './editor-transform.js';
+import * as Frame from './editor-frame.js';
+import * as Crop from './editor-crop.js';
 
 class ScreenshotEditor {
   constructor() {
@@ -23,25 +32,140 @@ class ScreenshotEditor {
       activeTools: new Set(),
       isDrawing: false,
       cropOnlyMode: false,
-      selected: null,      // Currently selected element (arrow/text/rect)
-      dragging: null       // {part, startPos, original} while moving/resizing a selection
+      selection: [],       // Selected elements (arrow/shape/stroke/text/callout/magnifier/spotlight), in drawing order
+      selected: null,      // The selected element when exactly one is selected (shows its handles)
+      dragging: null,      // {part, startPos, original, originals?} while moving/resizing a selection
+      unsavedChanges: false // Edited since the last save/copy
     };
 
     // Drawing state
     this.drawingState = {
       cropStart: null,
       cropEnd: null,
+      cropDrag: null,      // {handle, startPos, origin} while adjusting an existing crop selection
       annotateStart: null,
-      arrowStart: null
+      arrowStart: null,
+      shapeStart: null,
+      stroke: null,        // Freehand element being drawn
+      stepStart: null,
+      calloutStart: null,
+      magnifyStart: null,
+      spotlightStart: null,
+      spotlightRegion: null, // Region being dragged out, previewed in the spotlight
+      marquee: null        // Rubber band {start, end, base} selecting elements inside it
     };
 
-    // Open inline text input overlay, if any
+    // Open inline text editor overlay, if any: {input, pos, fontSize, style, element?, before?}
     this.activeTextInput = null;
 
+    // Where the screenshot came from: {url, title, selector?}
+    this.captureMeta = {};
+
+    // ID of the browser tab hosting this editor (for capture hand-offs)
+    this.tabId = null;
+
+    // Sensitive data found on the page at capture time: [{kind, x, y, width, height}]
+    this.sensitiveRegions = [];
+
     // Canvas state management
     this.canvasState = {
       originalImage: null,
-      lastImageData: null
+      lastImageData: null,
+      imageSnapshot: null, // Cached copy of offscreenCanvas for undo history
+      crop: null,          // {x, y, width, height} shown of offscreenCanvas, or null for all of it
+      redactionCache: new WeakMap() // Pixelated/blurred pixels per redaction element
+    };
+
+    // How new redactions are drawn: 'fill' (black box), 'pixelate' or 'blur',
+    // with size = mosaic block size / blur radius in image pixels
+    this.redaction = {
+      mode: 'fill',
+      size: 16
+    };
+
+    // What the crop selection is held to: aspect 'free', '1:1', '4:3', '16:9' or
+    // 'custom' (the custom width:height ratio), or an exact size {width, height}
+    // in image pixels, which overrides the aspect
+    this.cropPreset = {
+      aspect: 'free',
+      custom: { width: 3, height: 2 },
+      size: null
+    };
+
+    // What the shape tool draws: 'box', 'ellipse' or 'line'; boxes optionally rounded
+    this.shape = {
+      kind: 'box',
+      rounded: false
+    };
+
+    // What the draw tool paints: 'pen' or 'highlight'
+    this.freehand = {
+      kind: 'pen'
+    };
+
+    // Leader drawn when a step badge is dragged out: 'arrow' or 'line'
+    this.stepLeader = 'arrow';
+
+    // How new magnifiers look: lens 'circle' or 'rect', zoom factor (2-4) and
+    // whether a connector joins the lens to the region it magnifies
+    this.magnifier = {
+      shape: 'circle',
+      zoom: 2,
+      connector: true
+    };
+
+    // How the spotlight tool works: new regions are 'rect' or 'ellipse'; outside
+    // them the image is dimmed (dim = opacity of the black overlay) or blurred
+    this.spotlight = {
+      shape: 'rect',
+      effect: 'dim',
+      dim: 0.6,
+      blur: 12
+    };
+    this.spotlightEditSnapshot = null; // Undo snapshot while a spotlight slider is being dragged
+
+    // Color, size multipliers and opacity for new annotations (remembered in storage.sync)
+    this.annotationStyle = { ...Style.DEFAULT_ANNOTATION_STYLE };
+    this.styleEditSnapshot = null; // Undo snapshot while a style slider is being dragged
+
+    // Layout of new text: alignment, font family ('sans', 'serif', 'mono', 'hand'),
+    // weight ('normal' or 'bold') and whether it sits on a filled background box
+    this.textStyle = {
+      align: 'left',
+      fontFamily: 'sans',
+      fontWeight: 'bold',
+      background: false
+    };
+
+    // Annotations last copied from this tab {json, pastes}, so repeated pastes are offset
+    this.lastCopy = null;
+
+    // Whether moves snap to the grid (rather than to other elements), and the
+    // alignment guides shown while an element is being moved: [{axis, at}]
+    this.snapping = {
+      grid: false,
+      guides: []
+    };
+
+    // On-screen zoom (null = fit the window, else CSS pixels per image pixel),
+    // whether Space is held for panning, and the pan drag in progress
+    this.viewport = {
+      zoom: null,
+      spaceHeld: false,
+      pan: null
+    };
+
+    // Frame put around exported images (padding, background, corners, shadow,
+    // browser bar) and the named frame presets, both remembered in storage.sync
+    this.frame = { ...Frame.DEFAULT_FRAME };
+    this.framePresets = [];
+    this.framePreviewPending = false; // A frame preview redraw is scheduled
+    this.framePreviewSource = null;   // Small copy of the unframed export for the preview, while the panel is open
+
+    // Undo/redo snapshots ({image, elements, crop, sensitiveRegions}), oldest first
+    this.history = {
+      undoStack: [],
+      redoStack: []
     };
 
     // UI elements
@@ -69,6 +193,15 @@ class ScreenshotEditor {
     Object.assign(ScreenshotEditor.prototype, CanvasOps);
     Object.assign(ScreenshotEditor.prototype, Tools);
     Object.assign(ScreenshotEditor.prototype, Events);
+    Object.assign(ScreenshotEditor.prototype, History);
+    Object.assign(ScreenshotEditor.prototype, Sensitive);
+    Object.assign(ScreenshotEditor.prototype, Style);
+    Object.assign(ScreenshotEditor.prototype, Selection);
+    Object.assign(ScreenshotEditor.prototype, Snapping);
+    Object.assign(ScreenshotEditor.prototype, Viewport);
+    Object.assign(ScreenshotEditor.prototype, Transform);
+    Object.assign(ScreenshotEditor.prototype, Frame);
+    Object.assign(ScreenshotEditor.prototype, Crop);
 
     // Throttled functions
     this.throttledDrawCropGuides = Events.throttledDrawCropGuides;
@@ -81,8 +214,17 @@ class ScreenshotEditor {
       this.updateCanvasRect();
       this.checkMode();
       this.initializeTools();
+      this.initializeHistoryControls();
+      this.initializeCropOptions();
+      this.initializeToolOptions();
+      this.initializeStylePanel();
+      this.initializeTransformPanel();
+      this.initializeFramePanel();
+      this.initializeSnapControls();
+      this.initializeZoomControls();
       this.loadScreenshot();
       this.setupEventListeners();
+      this.listenForScreenshots();
 
       window.addEventListener('resize', this.boundUpdateCanvasDisplaySize);
       window.addEventListener('beforeunload', this.boundCleanup);
@@ -98,8 +240,9 @@ class ScreenshotEditor {
     }
   }
 
-  // Centralized redraw function for the VISIBLE canvas
-  redrawCanvas() {
+  // Centralized redraw function for the VISIBLE canvas.
+  // preview: an element being drawn (not yet in annotationElements), if any.
+  redrawCanvas(preview = null) {
     if (!this.ctx || !this.offscreenCanvas || !this.canvas) {
       console.error("Redraw called without valid context or canvases.");
       return;
@@ -112,18 +255,43 @@ class ScreenshotEditor {
     ctx.imageSmoothingEnabled = true;
     ctx.imageSmoothingQuality = 'high';
 
+    // Elements live in image coordinates; the canvas shows the view (crop) rectangle
+    const view = this.getViewRect();
+    ctx.save();
+    ctx.translate(-view.x, -view.y);
+
     // 1. Draw base image
     ctx.drawImage(this.offscreenCanvas, 0, 0);
 
-    // 2. Draw annotations (blackout rects, arrows, text)
-    this.elements.annotationElements.forEach(element => {
-      this.renderElement(ctx, element);
+    // 2. Draw annotations (redactions, spotlight, shapes, arrows, text)
+    // (text being edited is shown by the inline editor instead; a callout
+    // keeps its bubble, sized to the text typed so far)
+    const editing = this.activeTextInput && this.activeTextInput.element;
+    this.getRenderOrder().forEach(element => {
+      if (element !== editing) {
+        this.renderElement(ctx, element);
+      } else if (element.type === 'callout') {
+        this.renderElement(ctx, { ...element, text: this.activeTextInput.input.value, hideText: true });
+      }
     });
 
-    // 3. Draw selection handles (visible canvas only, never exported)
+    // 3. Draw the in-progress element
+    if (preview) {
+      this.renderElement(ctx, preview);
+    }
+
+    // 4. Outline unredacted sensitive data (visible canvas only, never exported)
+    this.drawSensitiveOverlay(ctx);
+
+    // 5. Draw the snap grid and guides, selection handles and the rubber band
+    // (visible canvas only, never exported)
+    this.drawSnapOverlay(ctx);
     if (this.state.selected) {
       this.drawSelectionOverlay(ctx, this.state.selected);
     }
+    this.drawMultiSelectionOverlay(ctx);
+    ctx.restore();
+    this.framePreviewSource = null; // The image may have changed
   }
 
   // Helper methods for state management
@@ -143,8 +311,17 @@ class ScreenshotEditor {
     this.drawingState = {
       cropStart: null,
       cropEnd: null,
+      cropDrag: null,
       annotateStart: null,
-      arrowStart: null
+      arrowStart: null,
+      shapeStart: null,
+      stroke: null,
+      stepStart: null,
+      calloutStart: null,
+      magnifyStart: null,
+      spotlightStart: null,
+      spotlightRegion: null,
+      marquee: null
     };
     this.state.isDrawing = false;
   }
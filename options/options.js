@@ -0,0 +1,95 @@
+// Defaults for every setting shown on this page (mirrors background.js)
+const DEFAULT_SETTINGS = {
+  captureDelay: 3,
+  reuseEditorTab: true,
+  detectSensitiveData: true,
+  saveLocation: 'SnipScreen'
+};
+
+let statusTimeout = null;
+
+/**
+ * Briefly shows a status message under the settings.
+ */
+function showStatus(message) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  clearTimeout(statusTimeout);
+  statusTimeout = setTimeout(() => { status.textContent = ''; }, 2000);
+}
+
+/**
+ * Lists every command with its current binding. Chrome owns the bindings,
+ * so this is read-only; remapping happens on chrome://extensions/shortcuts.
+ */
+async function renderShortcuts() {
+  const list = document.getElementById('shortcutList');
+  const commands = await chrome.commands.getAll();
+  list.replaceChildren(...commands
+    .filter(command => command.description)
+    .map(command => {
+      const row = document.createElement('tr');
+      const description = document.createElement('td');
+      description.textContent = command.description;
+      const shortcut = document.createElement('td');
+      if (command.shortcut) {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = command.shortcut;
+        shortcut.appendChild(kbd);
+      } else {
+        shortcut.textContent = 'Not set';
+        shortcut.className = 'unset';
+      }
+      row.append(description, shortcut);
+      return row;
+    }));
+}
+
+/**
+ * Loads the stored settings into the form and saves them on change.
+ */
+async function initializeSettings() {
+  const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+  const captureDelay = document.getElementById('captureDelay');
+  const reuseEditorTab = document.getElementById('reuseEditorTab');
+  const detectSensitiveData = document.getElementById('detectSensitiveData');
+  const saveLocation = document.getElementById('saveLocation');
+
+  captureDelay.value = String(settings.captureDelay);
+  reuseEditorTab.checked = settings.reuseEditorTab;
+  detectSensitiveData.checked = settings.detectSensitiveData;
+  saveLocation.value = settings.saveLocation;
+
+  captureDelay.addEventListener('change', async () => {
+    await chrome.storage.sync.set({ captureDelay: Number(captureDelay.value) });
+    showStatus('Capture delay saved');
+  });
+  reuseEditorTab.addEventListener('change', async () => {
+    await chrome.storage.sync.set({ reuseEditorTab: reuseEditorTab.checked });
+    showStatus(reuseEditorTab.checked ? 'Captures will reuse the open editor' : 'Captures will open a new editor tab');
+  });
+  detectSensitiveData.addEventListener('change', async () => {
+    await chrome.storage.sync.set({ detectSensitiveData: detectSensitiveData.checked });
+    showStatus(detectSensitiveData.checked ? 'Sensitive data will be flagged in new captures' : 'Sensitive data detection turned off');
+  });
+  saveLocation.addEventListener('change', async () => {
+    const value = saveLocation.value.trim() || DEFAULT_SETTINGS.saveLocation;
+    saveLocation.value = value;
+    await chrome.storage.sync.set({ saveLocation: value });
+    showStatus('Save folder saved');
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  renderShortcuts().catch(error => console.error('Failed to list shortcuts:', error));
+  initializeSettings().catch(error => console.error('Failed to load settings:', error));
+
+  document.getElementById('editShortcuts').addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
+  // Pick up bindings changed on the shortcuts page when returning here
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') renderShortcuts().catch(() => {});
+  });
+});